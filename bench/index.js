@@ -0,0 +1,223 @@
+/**
+ * Benchmark this Promise implementation against native `Promise` and
+ * `es6-promise` on the workloads in `./workloads`.
+ *
+ * Usage: npm run bench -- [options]
+ *   --time <ms>       how long to measure each workload for (default 1000)
+ *   --filter <text>   only run workloads whose name contains `text`
+ *   --json            print results as JSON instead of a table
+ *   --out <file>      also write the JSON results to `file`
+ *
+ * Memory figures are most useful with `--expose-gc` (set by `npm run bench`),
+ * which lets each run start from a collected heap and report what it retained.
+ */
+import fs from 'fs';
+import { performance, PerformanceObserver } from 'perf_hooks';
+import CustomPromise from '../promise';
+import { Promise as ES6Promise } from 'es6-promise';
+import workloads from './workloads';
+
+const NativePromise = global.Promise;
+
+const implementations = [
+    { name: 'promise.js', Promise: CustomPromise },
+    { name: 'es6-promise', Promise: ES6Promise },
+    { name: 'native', Promise: NativePromise }
+];
+
+/**
+ * @param  {string[]} argv
+ * @return {{time: number, filter: string, json: boolean, out: string?}}
+ */
+function parseArgs(argv) {
+    const options = { time: 1000, filter: '', json: false, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--time':
+                options.time = Number(argv[++i]);
+                break;
+            case '--filter':
+                options.filter = argv[++i];
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--out':
+                options.out = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (!(options.time > 0)) {
+        throw new Error('--time must be a positive number of milliseconds');
+    }
+    return options;
+}
+
+// Garbage collections seen since the counter was last reset.
+const gcStats = { count: 0, duration: 0 };
+const gcObserver = new PerformanceObserver(list => {
+    list.getEntries().forEach(entry => {
+        gcStats.count++;
+        gcStats.duration += entry.duration;
+    });
+});
+
+/**
+ * Run a workload back to back for at least `time` milliseconds.
+ * @param  {object} workload
+ * @param  {function} P - the Promise implementation
+ * @param  {number} time
+ * @return {Promise<{ops: number, elapsed: number}>}
+ */
+function runFor(workload, P, time) {
+    return new NativePromise((resolve, reject) => {
+        const start = performance.now();
+        let ops = 0;
+        const next = () => {
+            const elapsed = performance.now() - start;
+            if (elapsed >= time) {
+                resolve({ ops, elapsed });
+                return;
+            }
+            ops++;
+            workload.run(P).then(next, reject);
+        };
+        next();
+    });
+}
+
+/**
+ * Let pending performance entries reach the GC observer.
+ * @return {Promise}
+ */
+function flushObservers() {
+    return new NativePromise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Measure one workload against one implementation: warm up, then count
+ * operations, heap growth and garbage collections over `time` milliseconds.
+ * @param  {object} workload
+ * @param  {{name: string, Promise: function}} implementation
+ * @param  {number} time
+ * @return {Promise<object>} - a result record
+ */
+function measure(workload, implementation, time) {
+    const collect = typeof global.gc === 'function' ? global.gc : null;
+    let heapBefore;
+    return runFor(workload, implementation.Promise, time / 4)
+        .then(() => {
+            if (collect) {
+                collect();
+            }
+            return flushObservers();
+        })
+        .then(() => {
+            gcStats.count = 0;
+            gcStats.duration = 0;
+            heapBefore = process.memoryUsage().heapUsed;
+            return runFor(workload, implementation.Promise, time);
+        })
+        .then(({ ops, elapsed }) => {
+            const heapAfter = process.memoryUsage().heapUsed;
+            return flushObservers().then(() => {
+                const gc = { count: gcStats.count, duration: gcStats.duration };
+                if (collect) {
+                    collect();
+                }
+                return {
+                    workload: workload.name,
+                    implementation: implementation.name,
+                    ops,
+                    elapsed,
+                    opsPerSec: ops / elapsed * 1000,
+                    memory: {
+                        heapDelta: heapAfter - heapBefore,
+                        retained: collect ? process.memoryUsage().heapUsed - heapBefore : null
+                    },
+                    gc
+                };
+            });
+        });
+}
+
+/**
+ * @param  {number} bytes
+ * @return {string}
+ */
+function formatMB(bytes) {
+    return bytes == null ? '-' : (bytes / 1024 / 1024).toFixed(2);
+}
+
+/**
+ * Lay out results as a plain-text table, one row per measurement.
+ * @param  {object[]} results
+ * @return {string}
+ */
+function formatTable(results) {
+    const header = ['workload', 'implementation', 'ops/sec', 'heap Δ MB', 'retained MB', 'GCs', 'GC ms'];
+    const rows = results.map(result => [
+        result.workload,
+        result.implementation,
+        result.opsPerSec.toFixed(1),
+        formatMB(result.memory.heapDelta),
+        formatMB(result.memory.retained),
+        String(result.gc.count),
+        result.gc.duration.toFixed(1)
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    // Left-align the names, right-align the numbers.
+    const line = row => row.map((cell, i) => {
+        const pad = ' '.repeat(widths[i] - cell.length);
+        return i < 2 ? cell + pad : pad + cell;
+    }).join('  ');
+    return [line(header), widths.map(width => '-'.repeat(width)).join('  ')]
+        .concat(rows.map(line))
+        .join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const selected = workloads.filter(workload => workload.name.indexOf(options.filter) !== -1);
+    if (!selected.length) {
+        throw new Error(`No workloads match: ${options.filter}`);
+    }
+    if (typeof global.gc !== 'function') {
+        console.error('Run node with --expose-gc to report retained memory.');
+    }
+
+    gcObserver.observe({ entryTypes: ['gc'] });
+    const results = [];
+    let run = NativePromise.resolve();
+    selected.forEach(workload => {
+        implementations.forEach(implementation => {
+            run = run
+                .then(() => measure(workload, implementation, options.time))
+                .then(result => {
+                    results.push(result);
+                });
+        });
+    });
+
+    return run.then(() => {
+        gcObserver.disconnect();
+        const report = {
+            node: process.version,
+            time: options.time,
+            workloads: selected.map(({ name, description }) => ({ name, description })),
+            results
+        };
+        const json = JSON.stringify(report, null, 2);
+        if (options.out) {
+            fs.writeFileSync(options.out, `${json}\n`);
+        }
+        console.log(options.json ? json : formatTable(results));
+    });
+}
+
+NativePromise.resolve().then(main).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
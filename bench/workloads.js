@@ -0,0 +1,69 @@
+/**
+ * Standard benchmark workloads. Each `run` takes a Promise implementation and
+ * returns one of its Promises, which settles once the workload is done. One
+ * call to `run` counts as one operation.
+ */
+
+/**
+ * Attach `size` handlers one after another, each waiting for the last.
+ */
+export const thenChain = {
+    name: 'then-chain',
+    description: 'one `then` chain, 1000 handlers long',
+    size: 1000,
+    run(P) {
+        let p = P.resolve(0);
+        for (let i = 0; i < this.size; i++) {
+            p = p.then(value => value + 1);
+        }
+        return p;
+    }
+};
+
+/**
+ * Wait for `size` Promises at once, each settling through a handler.
+ */
+export const allFanOut = {
+    name: 'all-fan-out',
+    description: '`Promise.all` of 1000 pending Promises',
+    size: 1000,
+    run(P) {
+        const promises = [];
+        for (let i = 0; i < this.size; i++) {
+            promises.push(P.resolve(i).then(value => value * 2));
+        }
+        return P.all(promises);
+    }
+};
+
+/**
+ * Create `size` already-resolved Promises, attaching one handler to each.
+ */
+export const resolved = {
+    name: 'resolved',
+    description: '10000 resolved Promises with one handler each',
+    size: 10000,
+    run(P) {
+        let last;
+        for (let i = 0; i < this.size; i++) {
+            last = new P(resolve => resolve(i)).then(value => value);
+        }
+        return last;
+    }
+};
+
+/**
+ * Recurse through handlers that return the next step's Promise, so every
+ * level adopts the one below it.
+ */
+export const recursion = {
+    name: 'recursion',
+    description: 'recursive loop through handlers, 1000 levels deep',
+    size: 1000,
+    run(P) {
+        const loop = n => n === 0 ? P.resolve(0) : P.resolve(n - 1).then(loop);
+        return loop(this.size);
+    }
+};
+
+export default [thenChain, allFanOut, resolved, recursion];
@@ -1,6 +1,457 @@
+const PENDING = 'pending';
+const FULFILLED = 'fulfilled';
+const REJECTED = 'rejected';
+
+/**
+ * Pick the best primitive this environment offers for running a callback as
+ * a microtask, falling back to a macrotask via `setTimeout`.
+ * @return {(flush: () => void) => void}
+ */
+function detectScheduler() {
+    if (typeof queueMicrotask === 'function') {
+        return flush => queueMicrotask(flush);
+    }
+    if (typeof process !== 'undefined' && process && typeof process.nextTick === 'function') {
+        return flush => process.nextTick(flush);
+    }
+    if (typeof MutationObserver === 'function' && typeof document !== 'undefined') {
+        const node = document.createTextNode('');
+        let toggle = 0;
+        let pending = null;
+        new MutationObserver(() => pending()).observe(node, { characterData: true });
+        return flush => {
+            pending = flush;
+            node.data = String(toggle ^= 1);
+        };
+    }
+    return flush => setTimeout(flush, 0);
+}
+
+const defaultScheduler = detectScheduler();
+let scheduler = defaultScheduler;
+
+// With the default scheduler and native microtasks available, every job is
+// its own microtask, so our jobs interleave with native Promise jobs in spec
+// order. Jobs wait in `microtasks` and each microtask runs the oldest one, so
+// queueing a job doesn't allocate a closure.
+const nativeMicrotask = typeof queueMicrotask === 'function' ? queueMicrotask : null;
+const microtasks = [];
+let microtaskIndex = 0;
+
+// Otherwise jobs run strictly in FIFO order. Jobs queued while flushing run in
+// the same flush, so the scheduler is only asked for one callback per batch.
+// Both queues hold a job as two slots: a function and its argument.
+const queue = [];
+let queueIndex = 0;
+let flushScheduled = false;
+let rejectionCheckScheduled = false;
+
+// Rejected Promises with no handlers yet. They are reported once the queue
+// has drained, which gives chained and adopting Promises a chance to attach.
+let pendingRejections = [];
+const rejectionListeners = {
+    unhandledRejection: [],
+    rejectionHandled: []
+};
+
+/**
+ * Ask the scheduler for a flush, unless one is already pending.
+ */
+function requestFlush() {
+    if (!flushScheduled) {
+        flushScheduled = true;
+        scheduler(flushQueue);
+    }
+}
+
+/**
+ * Run a function asynchronously, after the current call stack has cleared.
+ * @param  {(arg: any) => void} fn
+ * @param  {any?} arg - passed to `fn`
+ */
+function defer(fn, arg) {
+    if (nativeMicrotask && scheduler === defaultScheduler) {
+        microtasks.push(fn, arg);
+        nativeMicrotask(runMicrotask);
+        return;
+    }
+    queue.push(fn, arg);
+    requestFlush();
+}
+
+/**
+ * Run the oldest job waiting for a native microtask.
+ */
+function runMicrotask() {
+    const fn = microtasks[microtaskIndex];
+    const arg = microtasks[microtaskIndex + 1];
+    microtasks[microtaskIndex++] = undefined;
+    microtasks[microtaskIndex++] = undefined;
+    if (microtaskIndex === microtasks.length) {
+        microtasks.length = 0;
+        microtaskIndex = 0;
+    } else if (microtaskIndex > 1024 && microtaskIndex * 2 > microtasks.length) {
+        // Jobs keep coming; drop the ones that already ran.
+        microtasks.splice(0, microtaskIndex);
+        microtaskIndex = 0;
+    }
+    fn(arg);
+}
+
+/**
+ * Run every queued job, including ones queued along the way, then report
+ * unhandled rejections. If a job throws, the remaining work is handed to a
+ * fresh flush before the error propagates.
+ */
+function flushQueue() {
+    try {
+        do {
+            while (queueIndex < queue.length) {
+                const fn = queue[queueIndex];
+                const arg = queue[queueIndex + 1];
+                queue[queueIndex++] = undefined;
+                queue[queueIndex++] = undefined;
+                if (queueIndex > 1024 && queueIndex * 2 > queue.length) {
+                    // Jobs keep coming; drop the ones that already ran.
+                    queue.splice(0, queueIndex);
+                    queueIndex = 0;
+                }
+                fn(arg);
+            }
+            reportUnhandledRejections();
+        } while (queueIndex < queue.length);
+    } finally {
+        queue.splice(0, queueIndex);
+        queueIndex = 0;
+        flushScheduled = false;
+        if (queue.length > 0 || pendingRejections.length > 0) {
+            requestFlush();
+        }
+    }
+}
+
+/**
+ * Remember a Promise that was rejected without any handlers attached.
+ * @param  {Promise} promise
+ */
+function trackRejection(promise) {
+    pendingRejections.push(promise);
+    if (!nativeMicrotask || scheduler !== defaultScheduler) {
+        requestFlush();
+    } else if (!rejectionCheckScheduled) {
+        // There is no hook for the end of the native microtask queue, so
+        // check once the next macrotask runs.
+        rejectionCheckScheduled = true;
+        setTimeout(() => {
+            rejectionCheckScheduled = false;
+            reportUnhandledRejections();
+        }, 0);
+    }
+}
+
+/**
+ * Emit `unhandledRejection` for every tracked Promise that still has no
+ * handlers.
+ */
+function reportUnhandledRejections() {
+    const rejections = pendingRejections;
+    pendingRejections = [];
+    rejections.forEach(promise => {
+        if (!promise._handled) {
+            promise._reported = true;
+            emitRejectionEvent('unhandledRejection', promise._value, promise);
+        }
+    });
+}
+
+/**
+ * Call the listeners registered for a rejection event, and forward the event
+ * to `process.emit` when running in Node.
+ * @param  {string} type - 'unhandledRejection' or 'rejectionHandled'
+ * @param  {...any} args
+ */
+function emitRejectionEvent(type, ...args) {
+    rejectionListeners[type].slice().forEach(listener => listener(...args));
+    if (typeof process !== 'undefined' && process && typeof process.emit === 'function') {
+        process.emit(type, ...args);
+    }
+}
+
+/**
+ * Register a listener for a rejection event.
+ * @param  {string} type
+ * @param  {function} listener
+ * @return {() => void} - removes the listener
+ */
+function addRejectionListener(type, listener) {
+    if (typeof listener !== 'function') {
+        throw new TypeError('Listener must be a function');
+    }
+    const listeners = rejectionListeners[type];
+    listeners.push(listener);
+    return () => {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+}
+
+// Callbacks registered through `Promise.hooks`, by event, and how many there
+// are in total, so the hot paths only pay for a counter check without hooks.
+const hookListeners = {
+    init: [],
+    settle: [],
+    before: [],
+    after: [],
+    handled: []
+};
+let hookCount = 0;
+let nextPromiseId = 1;
+// The Promise `then` is deriving a new one from, for the constructor to pick
+// up as the new Promise's parent.
+let derivingFrom = null;
+// Set while hooks run, so the Promises they create don't emit events in turn.
+let inHook = false;
+
+// The values of every context from `Promise.createContext`, keyed by context,
+// as seen by the code running now. Reactions capture it in `subscribe` and
+// restore it around their handler.
+let activeContext = null;
+let nextContextId = 1;
+
+const now = typeof performance !== 'undefined' && performance && typeof performance.now === 'function'
+    ? () => performance.now()
+    : () => Date.now();
+
+/**
+ * Make a function run with the given context values active, like a handler
+ * registered while they were.
+ * @param  {(arg: any) => any} fn
+ * @param  {object} context - a snapshot of `activeContext`
+ * @return {(arg: any) => any}
+ */
+function bindContext(fn, context) {
+    return arg => {
+        const previous = activeContext;
+        activeContext = context;
+        try {
+            return fn(arg);
+        } finally {
+            activeContext = previous;
+        }
+    };
+}
+
+/**
+ * Get the id a Promise has in hook events, assigning the next one on first use.
+ * @param  {Promise} promise
+ * @return {number}
+ */
+function promiseId(promise) {
+    return promise._id || (promise._id = nextPromiseId++);
+}
+
+/**
+ * Call the hooks registered for a lifecycle event. Errors thrown by a hook are
+ * rethrown asynchronously, and don't stop the other hooks.
+ * @param  {string} type - 'init', 'settle', 'before', 'after' or 'handled'
+ * @param  {Promise} promise
+ * @param  {object?} detail - extra properties for the event
+ */
+function emitHook(type, promise, detail) {
+    const listeners = hookListeners[type];
+    if (listeners.length === 0 || inHook) {
+        return;
+    }
+    const event = {
+        type,
+        id: promiseId(promise),
+        parentId: promise._parentId,
+        timestamp: now(),
+        promise
+    };
+    if (detail) {
+        Object.assign(event, detail);
+    }
+    inHook = true;
+    try {
+        listeners.slice().forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                reportError(e);
+            }
+        });
+    } finally {
+        inHook = false;
+    }
+}
+
+/**
+ * Create an error wrapping several rejection reasons. Uses the native
+ * `AggregateError` where available, otherwise an `Error` with the same shape.
+ * @param  {Array<any>} errors
+ * @param  {string} message
+ * @return {Error}
+ */
+function createAggregateError(errors, message) {
+    if (typeof AggregateError === 'function') {
+        return new AggregateError(errors, message);
+    }
+    const error = new Error(message);
+    error.name = 'AggregateError';
+    error.errors = errors;
+    return error;
+}
+
+/**
+ * Define an `Error` subclass. Written as a plain constructor function, since
+ * ES2015 classes compiled by Babel can't extend built-ins like `Error`.
+ * @param  {string} name
+ * @param  {string} defaultMessage
+ * @return {function(new:Error, string=)}
+ */
+function createErrorClass(name, defaultMessage) {
+    function CustomError(message = defaultMessage) {
+        if (!(this instanceof CustomError)) {
+            return new CustomError(message);
+        }
+        this.message = message;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, CustomError);
+        } else {
+            this.stack = new Error(message).stack;
+        }
+    }
+    CustomError.prototype = Object.create(Error.prototype, {
+        constructor: { value: CustomError, writable: true, configurable: true },
+        name: { value: name, writable: true, configurable: true }
+    });
+    return CustomError;
+}
+
+/**
+ * Rethrow an error from a user callback whose result has nowhere else to go,
+ * outside of the job queue so it surfaces as an uncaught exception.
+ * @param  {any} error
+ */
+function reportError(error) {
+    setTimeout(() => {
+        throw error;
+    }, 0);
+}
+
+/**
+ * Reason a cancellable Promise rejects with when its signal aborts.
+ */
+const AbortError = createErrorClass('AbortError', 'The operation was aborted');
+
+/**
+ * Reason `Promise#timeout` rejects with when the deadline passes.
+ */
+const TimeoutError = createErrorClass('TimeoutError', 'The operation timed out');
+
+/**
+ * Reason `Promise.retry` rejects with when it runs out of retries. Its
+ * `errors` property holds the failure of every attempt.
+ */
+const RetryError = createErrorClass('RetryError', 'All retries failed');
+
+/**
+ * Make an `AbortSignal` reject a pending Promise with an `AbortError`. The
+ * Promise's `onCancel` callbacks run first, and the listener is removed as
+ * soon as the Promise settles.
+ *
+ * A Promise that merely inherited the signal from the Promise it was derived
+ * from (`inherited`) is only rejected if it is waiting on a thenable returned
+ * by its handler; otherwise the abort already reaches it through the chain.
+ *
+ * @param  {Promise} promise
+ * @param  {AbortSignal} signal
+ * @param  {boolean} inherited
+ */
+function bindSignal(promise, signal, inherited) {
+    const onAbort = () => {
+        if (inherited && !promise._adopting) {
+            return;
+        }
+        const cancelHandlers = promise._cancelHandlers;
+        settle(promise, REJECTED, new AbortError());
+        cancelHandlers.forEach(handler => {
+            try {
+                handler();
+            } catch (e) {
+                reportError(e);
+            }
+        });
+    };
+
+    promise._signal = signal;
+    promise._cancelHandlers = [];
+    promise._unbindSignal = () => signal.removeEventListener('abort', onAbort);
+    signal.addEventListener('abort', onAbort);
+}
+
+// Options set through `Promise.config`.
+const config = {
+    longStackTraces: false
+};
+
+// Long stack traces keep at most this many asynchronous hops per chain, so
+// endless promise loops don't hold on to an endless chain of traces.
+const MAX_TRACE_DEPTH = 32;
+
+// Errors whose stack already has the asynchronous trace appended.
+const tracedErrors = typeof WeakSet === 'function' ? new WeakSet() : null;
+
+/**
+ * Record the current call stack, linked to the trace of the Promise it
+ * derives from. Only used when `longStackTraces` is on.
+ * @param  {object?} parent - trace of the parent Promise
+ * @param  {function} skip - omit this function and the frames above it
+ * @return {{stack: string, parent: object?, depth: number}}
+ */
+function captureTrace(parent, skip) {
+    const holder = {};
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(holder, skip);
+    } else {
+        holder.stack = new Error().stack;
+    }
+    const linked = parent && parent.depth < MAX_TRACE_DEPTH ? parent : null;
+    return {
+        stack: String(holder.stack).split('\n').slice(1).join('\n'),
+        parent: linked,
+        depth: linked ? linked.depth + 1 : 0
+    };
+}
+
+/**
+ * Append the creation sites of a rejected Promise and its ancestors to the
+ * stack of the rejection reason. Each reason is only extended once, by the
+ * first Promise it rejects.
+ * @param  {any} reason
+ * @param  {object} trace
+ */
+function attachLongStackTrace(reason, trace) {
+    if (!(reason instanceof Error) || !tracedErrors || tracedErrors.has(reason)) {
+        return;
+    }
+    tracedErrors.add(reason);
+    let stack = String(reason.stack);
+    for (let t = trace; t; t = t.parent) {
+        stack += `\nFrom previous event:\n${t.stack}`;
+    }
+    try {
+        reason.stack = stack;
+    } catch (e) {
+        // Frozen or non-writable; leave the original stack.
+    }
+}
+
 /**
  * @class Custom Promise implementation.
- * @todo Make this pass tests in `tests/promise.spec.js`.
  */
 class Promise {
 
@@ -18,22 +469,170 @@ class Promise {
      *     setTimeout(() => reject('goodbye cruel world'), 1000);
      *   });
      *
-     * @param {(resolve: (val: any) => void, reject: (reason: any) => void) => void} executor
+     * Resolving with another Promise or any other thenable (an object or
+     * function with a `then` method) adopts its eventual state.
+     *
+     * @example
+     *   new Promise(resolve => resolve(fetch('/api/foo')));
+     *
+     * The executor may report progress while pending by calling `notify`.
+     * Handlers registered with `Promise#progress` receive each value.
+     *
+     * @example
+     *   new Promise((resolve, reject, notify) => {
+     *     upload.on('progress', e => notify(e.loaded / e.total));
+     *     upload.on('done', resolve);
+     *   });
+     *
+     * Passing an `AbortSignal` makes the Promise cancellable: aborting the
+     * signal rejects the pending Promise with a `Promise.AbortError`, and
+     * calls any functions the executor registered with `onCancel`. If the
+     * signal has already aborted, the executor is not called at all.
+     *
+     * @example
+     *   const controller = new AbortController();
+     *   new Promise((resolve, reject, notify, onCancel) => {
+     *     const timer = setTimeout(() => resolve('hello world!'), 1000);
+     *     onCancel(() => clearTimeout(timer));
+     *   }, { signal: controller.signal });
+     *   controller.abort();
+     *
+     * @param {(resolve: (val: any) => void, reject: (reason: any) => void, notify: (progress: any) => void, onCancel: (fn: () => void) => void) => void} executor
+     * @param {{signal: AbortSignal?}?} options
      */
-    constructor(executor) {
-        /** TODO Implement */
+    constructor(executor, options) {
+        if (typeof executor !== 'function') {
+            throw new TypeError(`Promise resolver ${executor} is not a function`);
+        }
+
+        this._state = PENDING;
+        this._value = undefined;
+        // Nothing, a single reaction, or an array of them once there are more.
+        this._reactions = null;
+        this._handled = false;
+        this._reported = false;
+        this._adopting = false;
+        // The Promise this one collapsed into while adopting it; see `collapse`.
+        this._following = null;
+        this._signal = null;
+        this._cancelHandlers = null;
+        this._unbindSignal = null;
+        this._progressHandlers = null;
+        this._trace = config.longStackTraces ? captureTrace(null, Promise) : null;
+        // Identify the Promise in `Promise.hooks` events; assigned on demand.
+        this._id = 0;
+        this._parentId = null;
+        if (derivingFrom) {
+            this._parentId = promiseId(derivingFrom);
+            derivingFrom = null;
+        }
+        if (hookCount !== 0) {
+            emitHook('init', this);
+        }
+
+        const signal = options && options.signal;
+        if (signal) {
+            if (signal.aborted) {
+                this._signal = signal;
+                settle(this, REJECTED, new AbortError());
+                return;
+            }
+            bindSignal(this, signal, false);
+        }
+        if (executor === noop) {
+            // Created to be settled from the inside, through `resolvePromise`
+            // and `settle`, so skip the resolving functions.
+            return;
+        }
+
+        // Whether the Promise was already resolved follows from its own state,
+        // so the functions need nothing but `this`.
+        const resolve = value => {
+            if (this._state === PENDING && !this._adopting) {
+                resolvePromise(this, value);
+            }
+        };
+        const reject = reason => {
+            if (this._state === PENDING && !this._adopting) {
+                settle(this, REJECTED, reason);
+            }
+        };
+        const notify = value => notifyProgress(this, value);
+        const onCancel = handler => {
+            if (typeof handler === 'function' && this._cancelHandlers) {
+                this._cancelHandlers.push(handler);
+            }
+        };
+        try {
+            executor(resolve, reject, notify, onCancel);
+        } catch (e) {
+            reject(e);
+        }
     }
 
     /**
      * Register callbacks for when `resolve` or `reject` are called. Both
      * handlers are optional; if neither handler is passed, this is effectively
      * a clone operation.
+     *
+     * If a handler returns a thenable, the returned Promise adopts its state.
+     * Progress notifications from this Promise are passed on to the returned
+     * Promise while it is pending.
+     *
+     * The returned Promise inherits this Promise's `AbortSignal`, if it has
+     * one, so aborting it also rejects a handler's pending thenable. Pass
+     * `options.signal` to make the returned Promise cancellable on its own.
+     *
+     * On a subclass, the returned Promise is constructed through
+     * `this.constructor[Symbol.species]`.
+     *
      * @param  {(val: any) => any?} callback - optional resolve handler
      * @param  {(reason: any) => any?} errback - optional reject handler
+     * @param  {{signal: AbortSignal?}?} options
      * @return {Promise}
      */
-    then(onResolve, onReject) {
-        /** TODO Implement */
+    then(onResolve, onReject, options) {
+        const signal = options && options.signal;
+        const C = speciesConstructor(this, Promise);
+        let derived;
+        let capability = null;
+        derivingFrom = hookCount !== 0 ? this : null;
+        try {
+            if (C === Promise) {
+                derived = new Promise(noop, signal ? { signal } : undefined);
+            } else {
+                capability = newPromiseCapability(C);
+                derived = capability.promise;
+            }
+        } finally {
+            derivingFrom = null;
+        }
+        // A species constructor may build something other than our Promise,
+        // which has none of the internals below.
+        const own = derived instanceof Promise;
+        if (own && signal && C !== Promise) {
+            if (signal.aborted) {
+                derived._signal = signal;
+                capability.reject(new AbortError());
+            } else {
+                bindSignal(derived, signal, false);
+            }
+        }
+        if (own && config.longStackTraces) {
+            derived._trace = captureTrace(this._trace, this.then);
+        }
+        subscribe(
+            this,
+            derived,
+            typeof onResolve === 'function' ? onResolve : null,
+            typeof onReject === 'function' ? onReject : null,
+            capability
+        );
+
+        if (own && !signal && this._signal && !this._signal.aborted) {
+            bindSignal(derived, this._signal, true);
+        }
+        return derived;
     }
 
     /**
@@ -42,71 +641,2293 @@ class Promise {
      * @return {Promise}
      */
     catch(onReject) {
-        /** TODO Implement */
+        return this.then(undefined, onReject);
+    }
+
+    /**
+     * Register a handler for progress notifications. The handler is called
+     * asynchronously with each value passed to the executor's `notify`, or
+     * propagated from the Promise this one was derived from, until the
+     * Promise settles.
+     *
+     * @example
+     *   uploadFile(file)
+     *     .progress(percent => spinner.update(percent))
+     *     .then(() => spinner.hide());
+     *
+     * @param  {(progress: any) => void} handler
+     * @return {Promise} - this Promise, for chaining
+     */
+    progress(handler) {
+        const target = followTarget(this);
+        if (typeof handler === 'function' && target._state === PENDING) {
+            if (activeContext !== null) {
+                handler = bindContext(handler, activeContext);
+            }
+            (target._progressHandlers || (target._progressHandlers = [])).push(handler);
+        }
+        return this;
+    }
+
+    /**
+     * Construct a Promise that resolves with this Promise's value, `ms`
+     * milliseconds after this Promise resolves. Rejections are passed on
+     * without delay.
+     * @param  {number} ms
+     * @return {Promise}
+     */
+    delay(ms) {
+        return this.then(value => new Promise(resolve => {
+            setTimeout(() => resolve(value), ms);
+        }));
+    }
+
+    /**
+     * Construct a Promise that settles like this Promise, unless `ms`
+     * milliseconds pass first, in which case it rejects. The timer is cleared
+     * as soon as this Promise settles.
+     *
+     * @example
+     *   getJSON('/flaky/system')
+     *     .timeout(5000, 'flaky system took too long')
+     *     .catch(err => showError(err.message));
+     *
+     * @param  {number} ms
+     * @param  {(string|Error)?} reasonOrError - an Error to reject with, or a
+     *     message for the `Promise.TimeoutError` to reject with
+     * @return {Promise}
+     */
+    timeout(ms, reasonOrError) {
+        const C = speciesConstructor(this, Promise);
+        let timed;
+        let capability = null;
+        if (C === Promise) {
+            timed = new Promise(noop);
+        } else {
+            capability = newPromiseCapability(C);
+            timed = capability.promise;
+        }
+        const timer = setTimeout(() => {
+            const reason = reasonOrError instanceof Error
+                ? reasonOrError
+                : new TimeoutError(reasonOrError);
+            if (capability) {
+                capability.reject(reason);
+            } else {
+                settle(timed, REJECTED, reason);
+            }
+        }, ms);
+        const clear = () => clearTimeout(timer);
+        this.then(clear, clear);
+        // Follow this Promise without adopting it: the timer may still settle
+        // `timed`, so it must not collapse into this Promise.
+        subscribe(this, timed, null, null, capability);
+        return timed;
+    }
+
+    /**
+     * Pass the outcome of this Promise on to a Node-style callback:
+     * `callback(null, value)` or `callback(reason)`. A falsy rejection reason
+     * is wrapped in an `Error`, so the callback can still tell it apart from
+     * success. Errors thrown by the callback are rethrown asynchronously.
+     *
+     * @example
+     *   function getJSON(url, callback) {
+     *     return fetchJSON(url).asCallback(callback);
+     *   }
+     *
+     * @param  {((err: any, value: any) => void)?} callback
+     * @return {Promise} - this Promise, for chaining
+     */
+    asCallback(callback) {
+        if (typeof callback !== 'function') {
+            return this;
+        }
+        const call = (...args) => {
+            try {
+                callback(...args);
+            } catch (e) {
+                reportError(e);
+            }
+        };
+        this.then(value => call(null, value), reason => {
+            if (!reason) {
+                const error = new Error(`Promise rejected with ${reason}`);
+                error.cause = reason;
+                reason = error;
+            }
+            call(reason);
+        });
+        return this;
+    }
+
+    /**
+     * @return {boolean} - whether the Promise has yet to settle
+     */
+    isPending() {
+        return followTarget(this)._state === PENDING;
+    }
+
+    /**
+     * @return {boolean} - whether the Promise has resolved
+     */
+    isFulfilled() {
+        return followTarget(this)._state === FULFILLED;
+    }
+
+    /**
+     * @return {boolean} - whether the Promise has rejected
+     */
+    isRejected() {
+        return followTarget(this)._state === REJECTED;
+    }
+
+    /**
+     * Synchronously get the value of a resolved Promise.
+     * @throws {TypeError} if the Promise is pending or rejected
+     * @return {any}
+     */
+    value() {
+        const target = followTarget(this);
+        if (target._state !== FULFILLED) {
+            throw new TypeError(`Cannot get value of a ${target._state} promise`);
+        }
+        return target._value;
+    }
+
+    /**
+     * Synchronously get the reason of a rejected Promise. This does not count
+     * as handling the rejection.
+     * @throws {TypeError} if the Promise is pending or resolved
+     * @return {any}
+     */
+    reason() {
+        const target = followTarget(this);
+        if (target._state !== REJECTED) {
+            throw new TypeError(`Cannot get reason of a ${target._state} promise`);
+        }
+        return target._value;
     }
 
     /**
      * Execute a function regardless of whether the Promise resolved or
      * rejected, but do not handle errors or change promise value.
      *
+     * If `callback` returns a thenable, the returned Promise waits for it. If
+     * `callback` throws or its thenable rejects, that error replaces the
+     * original outcome.
+     *
      * Angular's $q implements this and it is sometimes useful. It is not in
-     * the actual ES2015 spec.
+     * the ES2015 spec, but was standardized in ES2018.
      *
-     * @name Promise#finally
-     * @param {(val: any) => void} callback
+     * @param {() => any} callback
      * @return {Promise}
      */
+    finally(callback) {
+        if (typeof callback !== 'function') {
+            return this.then(callback, callback);
+        }
+        const C = speciesConstructor(this, Promise);
+        return this.then(
+            value => C.resolve(callback()).then(() => value),
+            reason => C.resolve(callback()).then(() => {
+                throw reason;
+            })
+        );
+    }
+
+    /**
+     * The constructor used to derive new Promises from an instance, e.g. in
+     * `then`. Subclasses may override it to return a different constructor.
+     * @return {function}
+     */
+    static get [Symbol.species]() {
+        return this;
+    }
 
 }
 
+function noop() {}
+
 /**
- * Construct a Promise in the resolved state
- * @static
- * @param  {any} value
- * @return {Promise}
+ * Attach a reaction to a Promise, running it right away (asynchronously) if
+ * the Promise has already settled. Marks the Promise as handled.
+ *
+ * The reaction settles `derived` with the handler's result, or with the
+ * Promise's own outcome if there is no handler. `derived` is settled
+ * directly unless a `capability` from another constructor is given.
+ *
+ * @param  {Promise} promise
+ * @param  {Promise} derived
+ * @param  {((val: any) => any)?} onResolve
+ * @param  {((reason: any) => any)?} onReject
+ * @param  {{resolve: function, reject: function}?} capability
  */
-Promise.resolve = function resolve(value) {
-    /** TODO Implement */
-};
+function subscribe(promise, derived, onResolve, onReject, capability) {
+    promise = followTarget(promise);
+    const reaction = {
+        source: promise,
+        promise: derived,
+        onResolve,
+        onReject,
+        capability,
+        origin: null,
+        context: activeContext
+    };
+    if (promise._state === PENDING) {
+        addReaction(promise, reaction);
+    } else {
+        markHandled(promise);
+        defer(runReaction, reaction);
+    }
+}
 
 /**
- * Construct a Promise in the rejected state
- * @static
- * @param  {any} reason
- * @return {Promise}
+ * Store a reaction on a pending Promise, and mark the Promise as handled.
+ * @param  {Promise} promise
+ * @param  {object} reaction
  */
-Promise.reject = function reject(reason) {
-    /** TODO Implement */
-};
+function addReaction(promise, reaction) {
+    markHandled(promise);
+    const reactions = promise._reactions;
+    if (reactions === null) {
+        promise._reactions = reaction;
+    } else if (Array.isArray(reactions)) {
+        reactions.push(reaction);
+    } else {
+        promise._reactions = [reactions, reaction];
+    }
+}
 
 /**
- * Construct a Promise that resolves when all input values are resolved, or
- * rejects immediately if any reject. The Promise resolves with an array of
- * values corresponding in order to the iterable passed as input (not the order
- * in which they were resolved).
- *
- * If any input value is not a promise, it will be coerced to a Promise using
- * Promise.resolve.
- *
- * @static
- * @param  {Array<any>} iterable
- * @return {Promise} - resolves with array corresponding to input promises
+ * Note that a Promise has a handler, emitting `rejectionHandled` if its
+ * rejection was already reported as unhandled.
+ * @param  {Promise} promise
  */
-Promise.all = function all(iterable) {
-    /** TODO Implement */
-};
+function markHandled(promise) {
+    if (!promise._handled) {
+        promise._handled = true;
+        if (hookCount !== 0) {
+            emitHook('handled', promise);
+        }
+        if (promise._reported) {
+            defer(emitRejectionHandled, promise);
+        }
+    }
+}
 
 /**
- * Construct a Promise that resolves or rejects with the first of a set of
- * Promises, with the same value or reason.
- * @name Promise.race
- * @static
- * @param {Array<Promise>} iterable
+ * Find the Promise that settles on behalf of `promise`: `promise` itself, or
+ * the Promise at the end of the chain it collapsed into.
+ * @param  {Promise} promise
  * @return {Promise}
  */
-Promise.race = function race(iterable) {
-    /** TODO Implement */
-};
+function followTarget(promise) {
+    let target = promise;
+    while (target._following) {
+        target = target._following;
+    }
+    if (promise._following && promise._following !== target) {
+        promise._following = target;
+    }
+    return target;
+}
+
+/**
+ * @param  {Promise} promise
+ */
+function emitRejectionHandled(promise) {
+    emitRejectionEvent('rejectionHandled', promise);
+}
+
+/**
+ * Push the Promises derived from or following `promise` onto `stack`, last
+ * one first, so they are popped in the order they were registered.
+ * @param  {Promise[]} stack
+ * @param  {Promise} promise
+ */
+function pushDerived(stack, promise) {
+    const reactions = promise._reactions;
+    if (Array.isArray(reactions)) {
+        for (let i = reactions.length - 1; i >= 0; i--) {
+            stack.push(reactions[i].promise);
+        }
+    } else if (reactions) {
+        stack.push(reactions.promise);
+    }
+}
+
+/**
+ * Deliver a progress value to a pending Promise's handlers, and pass it on to
+ * every pending Promise that is derived from or following it. The chain is
+ * walked with an explicit stack, since it may be arbitrarily long.
+ * @param  {Promise} promise
+ * @param  {any} value
+ */
+function notifyProgress(promise, value) {
+    const stack = [promise];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current._state !== PENDING) {
+            continue;
+        }
+        const handlers = current._progressHandlers;
+        if (handlers) {
+            handlers.forEach(handler => defer(() => {
+                try {
+                    handler(value);
+                } catch (e) {
+                    reportError(e);
+                }
+            }));
+        }
+        pushDerived(stack, current);
+    }
+}
+
+/**
+ * Check whether a progress notification on `promise` would reach any handler,
+ * on the Promise itself or on the pending Promises derived from it.
+ * @param  {Promise} promise
+ * @return {boolean}
+ */
+function hasProgressHandlers(promise) {
+    const stack = [promise];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current._state !== PENDING) {
+            continue;
+        }
+        if (current._progressHandlers) {
+            return true;
+        }
+        pushDerived(stack, current);
+    }
+    return false;
+}
+
+/**
+ * Create the `resolve` and `reject` functions handed to a thenable that a
+ * Promise adopts. The pair shares a single flag, so only the first call to
+ * either has an effect.
+ * @param  {Promise} promise
+ * @return {{resolve: (val: any) => void, reject: (reason: any) => void}}
+ */
+function createResolvingFunctions(promise) {
+    let alreadyResolved = false;
+    return {
+        resolve(value) {
+            if (alreadyResolved) {
+                return;
+            }
+            alreadyResolved = true;
+            resolvePromise(promise, value);
+        },
+        reject(reason) {
+            if (alreadyResolved) {
+                return;
+            }
+            alreadyResolved = true;
+            settle(promise, REJECTED, reason);
+        }
+    };
+}
 
+/**
+ * The Promise Resolution Procedure (Promises/A+ 2.3). Thenables are adopted,
+ * anything else fulfills the Promise directly.
+ * @param  {Promise} promise
+ * @param  {any} x
+ */
+function resolvePromise(promise, x) {
+    if (x === promise) {
+        settle(promise, REJECTED, new TypeError('Chaining cycle detected for promise'));
+        return;
+    }
+
+    if (x !== null && (typeof x === 'object' || typeof x === 'function')) {
+        let then;
+        try {
+            // Only read `then` once: it may be a getter with side effects.
+            then = x.then;
+        } catch (e) {
+            settle(promise, REJECTED, e);
+            return;
+        }
+        if (typeof then === 'function') {
+            promise._adopting = true;
+            const context = activeContext;
+            defer(() => adoptThenable(promise, x, then, context));
+            return;
+        }
+    }
+
+    settle(promise, FULFILLED, x);
+}
+
+/**
+ * Call a thenable's `then` method with a fresh pair of resolving functions,
+ * so a misbehaving thenable can't settle the Promise more than once. `then`
+ * runs in the context that was active when the Promise was resolved.
+ * @param  {Promise} promise
+ * @param  {object|function} thenable
+ * @param  {function} then
+ * @param  {object?} context - a snapshot of `activeContext`
+ */
+function adoptThenable(promise, thenable, then, context) {
+    if (thenable instanceof Promise && then === Promise.prototype.then) {
+        const target = followTarget(thenable);
+        if (target === promise) {
+            settle(promise, REJECTED, new TypeError('Chaining cycle detected for promise'));
+        } else if (target._state === PENDING && canCollapse(promise)) {
+            collapse(promise, target);
+        } else {
+            // Follow our own Promises directly, so progress is passed on too.
+            subscribe(target, promise, null, null, null);
+        }
+        return;
+    }
+    const { resolve, reject } = createResolvingFunctions(promise);
+    const previousContext = activeContext;
+    activeContext = context;
+    try {
+        then.call(thenable, resolve, reject);
+    } catch (e) {
+        reject(e);
+    }
+    activeContext = previousContext;
+}
+
+/**
+ * Check whether an adopting Promise may collapse into the Promise it adopts.
+ * It must have reactions to hand over (see `collapse`), and nothing but the
+ * adopted Promise may be able to settle it, which rules out an `AbortSignal`.
+ * Long stack traces and `Promise.hooks` need every Promise in a chain to
+ * settle, so they turn collapsing off.
+ * @param  {Promise} promise
+ * @return {boolean}
+ */
+function canCollapse(promise) {
+    return promise._reactions !== null && !promise._signal && !config.longStackTraces && hookCount === 0;
+}
+
+/**
+ * Make a pending Promise that adopts another of our pending Promises share
+ * its state outright, instead of following it through a reaction: the
+ * reactions and progress handlers move over to `target`, and `promise` only
+ * keeps a pointer to it, which `followTarget` uses from then on.
+ *
+ * In a recursive loop (`loop = () => p.then(loop)`) every step adopts the
+ * next one. Collapsing keeps the outermost Promise's reactions on the
+ * innermost pending step, and nothing refers to the steps in between, so the
+ * loop runs in constant memory.
+ *
+ * A reaction remembers the Promise it was first moved from (`origin`), and
+ * each move points that Promise straight at the new target, so held Promises
+ * don't keep the chain of collapsed steps alive either.
+ *
+ * @param  {Promise} promise
+ * @param  {Promise} target
+ */
+function collapse(promise, target) {
+    const reactions = promise._reactions;
+    promise._reactions = null;
+    promise._following = target;
+
+    (Array.isArray(reactions) ? reactions : [reactions]).forEach(reaction => {
+        if (reaction.origin) {
+            reaction.origin._following = target;
+        } else {
+            reaction.origin = promise;
+        }
+        reaction.source = target;
+        addReaction(target, reaction);
+    });
+
+    const handlers = promise._progressHandlers;
+    if (handlers) {
+        promise._progressHandlers = null;
+        target._progressHandlers = (target._progressHandlers || []).concat(handlers);
+    }
+}
+
+/**
+ * Transition a pending Promise to its final state and run its reactions.
+ * @param  {Promise} promise
+ * @param  {string} state - FULFILLED or REJECTED
+ * @param  {any} value - value or reason
+ */
+function settle(promise, state, value) {
+    if (promise._state !== PENDING) {
+        return;
+    }
+    promise._state = state;
+    promise._value = value;
+    promise._progressHandlers = null;
+    if (hookCount !== 0) {
+        emitHook('settle', promise, { state, value });
+    }
+    if (promise._unbindSignal) {
+        promise._unbindSignal();
+        promise._unbindSignal = null;
+        promise._cancelHandlers = null;
+    }
+
+    const reactions = promise._reactions;
+    promise._reactions = null;
+    if (state === REJECTED) {
+        if (promise._trace) {
+            attachLongStackTrace(value, promise._trace);
+        }
+        if (!promise._handled) {
+            trackRejection(promise);
+        }
+    }
+    if (Array.isArray(reactions)) {
+        for (let i = 0; i < reactions.length; i++) {
+            defer(runReaction, reactions[i]);
+        }
+    } else if (reactions) {
+        defer(runReaction, reactions);
+    }
+}
+
+/**
+ * Run a reaction registered by `subscribe`, once its Promise has settled:
+ * call the matching handler, if any, and settle the derived Promise. Nothing
+ * runs if an `AbortSignal` has already rejected the derived Promise.
+ * @param  {object} reaction
+ */
+function runReaction(reaction) {
+    const derived = reaction.promise;
+    if (derived._signal && derived._state !== PENDING) {
+        // Its signal aborted: the handler's result has nowhere to go, and
+        // may be stale by now.
+        return;
+    }
+    const source = reaction.source;
+    let fulfilled = source._state === FULFILLED;
+    const handler = fulfilled ? reaction.onResolve : reaction.onReject;
+    let value = source._value;
+    const previousContext = activeContext;
+
+    if (handler) {
+        // Hooks see the handler run on behalf of the Promise it settles.
+        const observed = hookCount !== 0 && reaction.promise instanceof Promise ? reaction.promise : null;
+        if (observed) {
+            emitHook('before', observed);
+        }
+        // Stays active while the result is resolved, so a thenable it
+        // returns is adopted in the same context.
+        activeContext = reaction.context;
+        try {
+            value = handler(value);
+            fulfilled = true;
+        } catch (e) {
+            value = e;
+            fulfilled = false;
+        }
+        if (observed) {
+            emitHook('after', observed);
+        }
+    }
+
+    const capability = reaction.capability;
+    try {
+        if (fulfilled) {
+            if (capability) {
+                capability.resolve(value);
+            } else {
+                resolvePromise(reaction.promise, value);
+            }
+        } else if (capability) {
+            capability.reject(value);
+        } else {
+            settle(reaction.promise, REJECTED, value);
+        }
+    } finally {
+        activeContext = previousContext;
+    }
+}
+
+/**
+ * Throw unless the receiver of a static method is a constructor, i.e. Promise
+ * or a subclass, so that statics can construct instances of it.
+ * @param  {any} C - the receiver
+ * @param  {string} method - the static's name, for the error message
+ * @return {function} - `C`
+ */
+function checkConstructor(C, method) {
+    if (typeof C !== 'function') {
+        throw new TypeError(`Promise.${method} called on non-constructor ${C}`);
+    }
+    return C;
+}
+
+/**
+ * Look up the constructor to derive new Promises from `promise` with
+ * (ES2015 SpeciesConstructor): `promise.constructor[Symbol.species]`, or
+ * `defaultConstructor` if either is undefined or null.
+ * @param  {Promise} promise
+ * @param  {function} defaultConstructor
+ * @return {function}
+ */
+function speciesConstructor(promise, defaultConstructor) {
+    const C = promise.constructor;
+    if (C === undefined) {
+        return defaultConstructor;
+    }
+    if (C === null || (typeof C !== 'object' && typeof C !== 'function')) {
+        throw new TypeError('Promise constructor is not an object');
+    }
+    const S = C[Symbol.species];
+    if (S == null) {
+        return defaultConstructor;
+    }
+    if (typeof S !== 'function') {
+        throw new TypeError('Promise species is not a constructor');
+    }
+    return S;
+}
+
+/**
+ * Construct a pending Promise through `C` and capture the resolving functions
+ * it passes to its executor (ES2015 NewPromiseCapability).
+ * @param  {function} C
+ * @return {{promise: Promise, resolve: (val: any) => void, reject: (reason: any) => void}}
+ */
+function newPromiseCapability(C) {
+    let resolve;
+    let reject;
+    const promise = new C((res, rej) => {
+        if (resolve !== undefined || reject !== undefined) {
+            throw new TypeError('Promise executor has already been invoked');
+        }
+        resolve = res;
+        reject = rej;
+    });
+    if (typeof resolve !== 'function' || typeof reject !== 'function') {
+        throw new TypeError('Promise resolve or reject function is not callable');
+    }
+    return { promise, resolve, reject };
+}
+
+/**
+ * Construct a Promise in the resolved state. Promises created by this class
+ * are returned as-is; other thenables are adopted.
+ * @static
+ * @param  {any} value
+ * @return {Promise}
+ */
+Promise.resolve = function resolve(value) {
+    const C = checkConstructor(this, 'resolve');
+    if (value instanceof Promise && value.constructor === C) {
+        return value;
+    }
+    if (C === Promise) {
+        const promise = new Promise(noop);
+        resolvePromise(promise, value);
+        return promise;
+    }
+    return new C(res => res(value));
+};
+
+/**
+ * Construct a Promise in the rejected state
+ * @static
+ * @param  {any} reason
+ * @return {Promise}
+ */
+Promise.reject = function reject(reason) {
+    const C = checkConstructor(this, 'reject');
+    if (C === Promise) {
+        const promise = new Promise(noop);
+        settle(promise, REJECTED, reason);
+        return promise;
+    }
+    return new C((res, rej) => rej(reason));
+};
+
+/**
+ * Construct a Promise that resolves when all input values are resolved, or
+ * rejects immediately if any reject. The Promise resolves with an array of
+ * values corresponding in order to the iterable passed as input (not the order
+ * in which they were resolved).
+ *
+ * If any input value is not a promise, it will be coerced to a Promise using
+ * Promise.resolve.
+ *
+ * While pending, the Promise reports aggregate progress whenever an input
+ * reports progress or resolves: `{completed, total, progress}`, where
+ * `progress` holds the latest progress value of each input, in input order.
+ *
+ * @static
+ * @param  {Array<any>} iterable
+ * @return {Promise} - resolves with array corresponding to input promises
+ */
+Promise.all = function all(iterable) {
+    const C = checkConstructor(this, 'all');
+    const promise = new C((resolve, reject, notify) => {
+        const values = [];
+        const progress = [];
+        let remaining = 1;
+        let index = 0;
+
+        // Copying `progress` for every settled input adds up on wide inputs,
+        // so only report when something is listening.
+        const report = () => {
+            if (hasProgressHandlers(promise)) {
+                notify({
+                    completed: index - remaining,
+                    total: index,
+                    progress: progress.slice()
+                });
+            }
+        };
+
+        for (let item of iterable) {
+            const i = index++;
+            remaining++;
+            progress[i] = undefined;
+            const input = C.resolve(item);
+            // Other constructors' Promises don't report progress.
+            if (input instanceof Promise) {
+                input.progress(value => {
+                    progress[i] = value;
+                    report();
+                });
+            }
+            input.then(value => {
+                values[i] = value;
+                if (--remaining === 0) {
+                    resolve(values);
+                } else {
+                    report();
+                }
+            }, reject);
+        }
+
+        if (--remaining === 0) {
+            resolve(values);
+        }
+    });
+    return promise;
+};
+
+/**
+ * Construct a Promise that resolves or rejects with the first of a set of
+ * Promises, with the same value or reason.
+ * @name Promise.race
+ * @static
+ * @param {Array<Promise>} iterable
+ * @return {Promise}
+ */
+Promise.race = function race(iterable) {
+    const C = checkConstructor(this, 'race');
+    return new C((resolve, reject) => {
+        for (let item of iterable) {
+            C.resolve(item).then(resolve, reject);
+        }
+    });
+};
+
+/**
+ * Construct a Promise that resolves once every input value has settled, with
+ * an array of `{status: 'fulfilled', value}` or `{status: 'rejected', reason}`
+ * records corresponding in order to the iterable passed as input. It never
+ * rejects.
+ *
+ * If any input value is not a promise, it will be coerced to a Promise using
+ * Promise.resolve.
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @return {Promise} - resolves with array of settlement records
+ */
+Promise.allSettled = function allSettled(iterable) {
+    const C = checkConstructor(this, 'allSettled');
+    return new C(resolve => {
+        const results = [];
+        let remaining = 1;
+        let index = 0;
+
+        for (let item of iterable) {
+            const i = index++;
+            remaining++;
+            C.resolve(item).then(value => {
+                results[i] = { status: FULFILLED, value };
+                if (--remaining === 0) {
+                    resolve(results);
+                }
+            }, reason => {
+                results[i] = { status: REJECTED, reason };
+                if (--remaining === 0) {
+                    resolve(results);
+                }
+            });
+        }
+
+        if (--remaining === 0) {
+            resolve(results);
+        }
+    });
+};
+
+/**
+ * Construct a Promise that resolves with the value of the first input value to
+ * resolve. If every input rejects (or the iterable is empty), it rejects with
+ * an `AggregateError` whose `errors` are the reasons, in input order.
+ *
+ * If any input value is not a promise, it will be coerced to a Promise using
+ * Promise.resolve.
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @return {Promise}
+ */
+Promise.any = function any(iterable) {
+    const C = checkConstructor(this, 'any');
+    return new C((resolve, reject) => {
+        const errors = [];
+        let remaining = 1;
+        let index = 0;
+
+        for (let item of iterable) {
+            const i = index++;
+            remaining++;
+            C.resolve(item).then(resolve, reason => {
+                errors[i] = reason;
+                if (--remaining === 0) {
+                    reject(createAggregateError(errors, 'All promises were rejected'));
+                }
+            });
+        }
+
+        if (--remaining === 0) {
+            reject(createAggregateError(errors, 'All promises were rejected'));
+        }
+    });
+};
+
+/**
+ * Take a snapshot of a Promise's current state: `{state: 'pending'}`,
+ * `{state: 'fulfilled', value}` or `{state: 'rejected', reason}`.
+ *
+ * @example
+ *   const { state } = Promise.inspect(this._barPromise);
+ *   spinner.toggle(state === 'pending');
+ *
+ * @static
+ * @param  {Promise} promise
+ * @return {{state: string, value: any?, reason: any?}}
+ */
+Promise.inspect = function inspect(promise) {
+    if (!(promise instanceof Promise)) {
+        throw new TypeError('Can only inspect instances of Promise');
+    }
+    promise = followTarget(promise);
+    switch (promise._state) {
+        case FULFILLED:
+            return { state: FULFILLED, value: promise._value };
+        case REJECTED:
+            return { state: REJECTED, reason: promise._value };
+        default:
+            return { state: PENDING };
+    }
+};
+
+/**
+ * Construct a Promise that resolves with `value` after `ms` milliseconds. If
+ * `value` is a thenable, the delay starts once it resolves.
+ *
+ * @example
+ *   Promise.delay(200, 'foo').then(console.log);
+ *
+ * @static
+ * @param  {number} ms
+ * @param  {any} value
+ * @return {Promise}
+ */
+Promise.delay = function delay(ms, value) {
+    return checkConstructor(this, 'delay').resolve(value).delay(ms);
+};
+
+/**
+ * Call a promise-returning function until it resolves, waiting longer after
+ * each failure (exponential backoff). The wait before retry `n` (from 0) is
+ * `minDelay * factor ** n`, capped at `maxDelay`, and reduced by a random
+ * fraction of up to `jitter` (0 to 1, `true` meaning 1).
+ *
+ * Once `retries` retries have failed, the Promise rejects with a
+ * `Promise.RetryError` whose `errors` hold every failure. If `shouldRetry`
+ * returns false for a failure, the Promise rejects with that failure at once.
+ * Aborting `signal` rejects with a `Promise.AbortError` and stops retrying.
+ *
+ * @example
+ *   Promise.retry(attempt => getAsyncValPromise(), {
+ *     retries: 5,
+ *     shouldRetry: err => err.message === 'network error'
+ *   });
+ *
+ * @static
+ * @param  {(attempt: number) => any} fn - called with the attempt number,
+ *     starting at 1
+ * @param  {object?} options
+ * @param  {number} [options.retries=3]
+ * @param  {number} [options.minDelay=100] - milliseconds
+ * @param  {number} [options.maxDelay=Infinity] - milliseconds
+ * @param  {number} [options.factor=2]
+ * @param  {(number|boolean)} [options.jitter=0]
+ * @param  {(error: any, attempt: number) => boolean} [options.shouldRetry]
+ * @param  {AbortSignal} [options.signal]
+ * @return {Promise}
+ */
+Promise.retry = function retry(fn, options = {}) {
+    const {
+        retries = 3,
+        minDelay = 100,
+        maxDelay = Infinity,
+        factor = 2,
+        jitter = 0,
+        shouldRetry = () => true,
+        signal
+    } = options;
+    const C = checkConstructor(this, 'retry');
+    const spread = jitter === true ? 1 : Number(jitter) || 0;
+
+    let cancel = null;
+    let fail = null;
+    let unwatch = noop;
+    const promise = new C((resolve, reject, notify, onCancel) => {
+        const errors = [];
+        let timer = null;
+        let cancelled = false;
+
+        cancel = () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+        if (typeof onCancel === 'function') {
+            onCancel(cancel);
+        }
+        const succeed = value => {
+            unwatch();
+            resolve(value);
+        };
+        fail = reason => {
+            unwatch();
+            reject(reason);
+        };
+        if (signal && signal.aborted) {
+            // A constructor that took `signal` would not have run this.
+            fail(new AbortError());
+            return;
+        }
+
+        const attempt = () => {
+            const n = errors.length + 1;
+            new Promise(res => res(fn(n))).then(succeed, error => {
+                if (cancelled) {
+                    return;
+                }
+                errors.push(error);
+                try {
+                    if (!shouldRetry(error, n)) {
+                        fail(error);
+                        return;
+                    }
+                } catch (e) {
+                    fail(e);
+                    return;
+                }
+                if (errors.length > retries) {
+                    const retryError = new RetryError(`All ${n} attempts failed`);
+                    retryError.errors = errors;
+                    fail(retryError);
+                    return;
+                }
+                const wait = Math.min(maxDelay, minDelay * Math.pow(factor, errors.length - 1));
+                timer = setTimeout(attempt, wait * (1 - spread * Math.random()));
+            });
+        };
+        attempt();
+    }, { signal });
+
+    if (signal && !signal.aborted && !(promise instanceof Promise && promise._signal === signal)) {
+        // The constructor ignored `signal`, so watch it here until the retry
+        // settles.
+        const onAbort = () => {
+            cancel();
+            fail(new AbortError());
+        };
+        unwatch = () => signal.removeEventListener('abort', onAbort);
+        signal.addEventListener('abort', onAbort);
+    }
+    return promise;
+};
+
+/**
+ * Construct a pending Promise along with the functions that settle it, for
+ * when it has to be settled from outside of an executor.
+ *
+ * @example
+ *   const { promise, resolve } = Promise.withResolvers();
+ *   emitter.once('ready', resolve);
+ *   return promise;
+ *
+ * @static
+ * @return {{promise: Promise, resolve: (val: any) => void, reject: (reason: any) => void}}
+ */
+Promise.withResolvers = function withResolvers() {
+    const C = checkConstructor(this, 'withResolvers');
+    let resolve;
+    let reject;
+    const promise = new C((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+/**
+ * @class A pending Promise bundled with the functions that settle it, like
+ * the Deferreds of Q and Angular's $q.
+ *
+ * @example
+ *   const deferred = new Promise.Deferred();
+ *   getJSON('/bar', (err, val) => err ? deferred.reject(err) : deferred.resolve(val));
+ *   return deferred.promise;
+ */
+class Deferred {
+
+    constructor() {
+        this.promise = new Promise((resolve, reject, notify) => {
+            this.resolve = resolve;
+            this.reject = reject;
+            this.notify = notify;
+        });
+    }
+
+    /**
+     * @return {string} - 'pending', 'fulfilled' or 'rejected', matching
+     *     `Promise.inspect(deferred.promise).state`
+     */
+    get state() {
+        return followTarget(this.promise)._state;
+    }
+
+    /**
+     * @return {boolean} - whether the promise has resolved or rejected. A
+     *     promise resolved with a pending thenable has not settled yet.
+     */
+    get settled() {
+        return followTarget(this.promise)._state !== PENDING;
+    }
+
+}
+
+/**
+ * @class A queue of task functions, running at most `limit` at a time.
+ * Construct one with `Promise.pool(limit)`.
+ */
+class Pool {
+
+    /**
+     * @param {number} limit - maximum number of tasks running at once
+     */
+    constructor(limit) {
+        if (!(limit >= 1)) {
+            throw new RangeError(`Pool limit must be at least 1, got ${limit}`);
+        }
+        this.limit = limit;
+        this._queue = [];
+        this._active = 0;
+    }
+
+    /**
+     * @return {number} - number of tasks currently running
+     */
+    get active() {
+        return this._active;
+    }
+
+    /**
+     * @return {number} - number of tasks waiting for a free slot
+     */
+    get pending() {
+        return this._queue.length;
+    }
+
+    /**
+     * Queue a task. It is called as soon as fewer than `limit` tasks are
+     * running.
+     * @param  {() => any} task
+     * @return {Promise} - settles with the outcome of the task
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this._queue.push({ task, resolve, reject });
+            this._drain();
+        });
+    }
+
+    /**
+     * Drop every task that has not started yet, rejecting them with a
+     * `Promise.AbortError`. Running tasks are unaffected.
+     */
+    clear() {
+        const queue = this._queue;
+        this._queue = [];
+        queue.forEach(({ reject }) => reject(new AbortError('Task was removed from the pool')));
+    }
+
+    /**
+     * Start queued tasks while there are free slots.
+     */
+    _drain() {
+        while (this._active < this.limit && this._queue.length) {
+            const { task, resolve, reject } = this._queue.shift();
+            const done = () => {
+                this._active--;
+                this._drain();
+            };
+            this._active++;
+            new Promise(res => res(task())).then(value => {
+                done();
+                resolve(value);
+            }, reason => {
+                done();
+                reject(reason);
+            });
+        }
+    }
+
+}
+
+/**
+ * Construct a Pool that runs queued task functions, at most `limit` at a time.
+ *
+ * @example
+ *   const pool = Promise.pool(4);
+ *   urls.forEach(url => pool.run(() => getJSON(url)).then(render));
+ *   console.log(pool.active, pool.pending);
+ *
+ * @static
+ * @param  {number} limit
+ * @return {Pool}
+ */
+Promise.pool = function pool(limit) {
+    return new Pool(limit);
+};
+
+/**
+ * Coerce the values of an iterable to Promises, and handle each one right
+ * away, for statics that only get to some of them later: a rejection is not
+ * unhandled just because its turn hasn't come yet.
+ * @param  {Iterable<any>} iterable
+ * @return {Array<Promise>}
+ */
+function toHandledPromises(iterable) {
+    return Array.from(iterable, item => {
+        const promise = Promise.resolve(item);
+        promise.catch(noop);
+        return promise;
+    });
+}
+
+/**
+ * Construct a Promise that resolves with an array of `mapper`'s results for
+ * each value of the input, in input order. Input values are coerced with
+ * Promise.resolve, and `mapper` is called with each resolved value and its
+ * index; at most `concurrency` of its results are pending at once.
+ *
+ * The Promise rejects with the first rejection, and no further `mapper`
+ * calls are started. It rejects with a `RangeError` right away if
+ * `concurrency` is given but is not at least 1.
+ *
+ * @example
+ *   Promise.map(urls, url => getJSON(url), { concurrency: 4 });
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @param  {(value: any, index: number) => any} mapper
+ * @param  {{concurrency: number?}?} options
+ * @return {Promise}
+ */
+Promise.map = function map(iterable, mapper, options = {}) {
+    const C = checkConstructor(this, 'map');
+    const { concurrency = Infinity } = options;
+    let failed = false;
+    let pool;
+    // The pool may only get to a rejected input much later, or never once
+    // another has failed, so only `mapper` waits for it.
+    let inputs;
+    try {
+        pool = new Pool(concurrency);
+        inputs = toHandledPromises(iterable);
+    } catch (e) {
+        return C.reject(e);
+    }
+    return C.all(inputs.map((input, i) => pool.run(() => {
+        if (failed) {
+            return undefined;
+        }
+        return input
+            .then(value => mapper(value, i))
+            .catch(reason => {
+                failed = true;
+                throw reason;
+            });
+    })));
+};
+
+/**
+ * Like `Promise.map`, but only calls `mapper` for each value once the
+ * previous result has resolved.
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @param  {(value: any, index: number) => any} mapper
+ * @return {Promise}
+ */
+Promise.mapSeries = function mapSeries(iterable, mapper) {
+    return checkConstructor(this, 'mapSeries').map(iterable, mapper, { concurrency: 1 });
+};
+
+/**
+ * Construct a Promise that resolves with a copy of `object` whose own
+ * enumerable property values are resolved. Values that are not promises are
+ * coerced using Promise.resolve. Rejects with the first rejection.
+ *
+ * @example
+ *   Promise.props({ user: getJSON('/user'), posts: getJSON('/posts') })
+ *     .then(({ user, posts }) => render(user, posts));
+ *
+ * @static
+ * @param  {object} object
+ * @return {Promise}
+ */
+Promise.props = function props(object) {
+    const C = checkConstructor(this, 'props');
+    let keys;
+    try {
+        keys = Object.keys(object);
+    } catch (e) {
+        return C.reject(e);
+    }
+    return C.all(keys.map(key => object[key])).then(values => {
+        const result = {};
+        keys.forEach((key, i) => {
+            result[key] = values[i];
+        });
+        return result;
+    });
+};
+
+/**
+ * Reduce the values of an iterable to a single value, waiting for each value
+ * and for each result of `reducer` before moving on to the next. As with
+ * `Array#reduce`, the first value is used as the initial value if `initial`
+ * is not passed.
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @param  {(accumulator: any, value: any, index: number) => any} reducer
+ * @param  {any?} initial
+ * @return {Promise}
+ */
+Promise.reduce = function reduce(iterable, reducer, initial) {
+    const C = checkConstructor(this, 'reduce');
+    let items;
+    try {
+        items = toHandledPromises(iterable);
+    } catch (e) {
+        return C.reject(e);
+    }
+    const hasInitial = arguments.length > 2;
+    if (!hasInitial && !items.length) {
+        return C.reject(new TypeError('Reduce of empty iterable with no initial value'));
+    }
+    const start = hasInitial ? 0 : 1;
+    let result = C.resolve(hasInitial ? initial : items[0]);
+    for (let i = start; i < items.length; i++) {
+        result = result.then(accumulator => {
+            return items[i].then(value => reducer(accumulator, value, i));
+        });
+    }
+    return result;
+};
+
+/**
+ * Construct a Promise that resolves with the input values for which
+ * `predicate` returns a truthy value (or a Promise of one), in input order.
+ * Takes the same `concurrency` option as `Promise.map`.
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @param  {(value: any, index: number) => any} predicate
+ * @param  {{concurrency: number?}?} options
+ * @return {Promise}
+ */
+Promise.filter = function filter(iterable, predicate, options) {
+    const values = [];
+    return checkConstructor(this, 'filter').map(iterable, (value, i) => {
+        values[i] = value;
+        return predicate(value, i);
+    }, options).then(keep => values.filter((value, i) => keep[i]));
+};
+
+/**
+ * Call `iterator` with each resolved value of the input in turn, waiting for
+ * any Promise it returns before moving on. Resolves with the array of
+ * resolved input values.
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @param  {(value: any, index: number) => any} iterator
+ * @return {Promise}
+ */
+Promise.each = function each(iterable, iterator) {
+    return checkConstructor(this, 'each').mapSeries(iterable, (value, i) => {
+        return Promise.resolve(iterator(value, i)).then(() => value);
+    });
+};
+
+/**
+ * Construct a Promise that resolves as soon as `count` input values resolve,
+ * with an array of their values in the order they resolved. Once so many
+ * inputs have rejected that `count` can no longer be reached, it rejects with
+ * an `AggregateError` of the rejection reasons, in input order.
+ *
+ * @static
+ * @param  {Iterable<any>} iterable
+ * @param  {number} count
+ * @return {Promise}
+ */
+Promise.some = function some(iterable, count) {
+    const C = checkConstructor(this, 'some');
+    return new C((resolve, reject) => {
+        const items = Array.from(iterable);
+        const values = [];
+        const errors = [];
+        let rejected = 0;
+
+        const fail = () => reject(createAggregateError(
+            errors.filter((reason, i) => i in errors),
+            `Cannot resolve ${count} of ${items.length} promises`
+        ));
+
+        if (count > items.length) {
+            fail();
+            return;
+        }
+        if (count <= 0) {
+            resolve(values);
+            return;
+        }
+
+        items.forEach((item, i) => {
+            C.resolve(item).then(value => {
+                values.push(value);
+                if (values.length === count) {
+                    resolve(values.slice());
+                }
+            }, reason => {
+                errors[i] = reason;
+                if (items.length - ++rejected < count) {
+                    fail();
+                }
+            });
+        });
+    });
+};
+
+/**
+ * Error a cancellable Promise rejects with when its `AbortSignal` aborts.
+ * @static
+ * @type {function(new:Error, string=)}
+ */
+Promise.AbortError = AbortError;
+
+/**
+ * Error `Promise#timeout` rejects with when its deadline passes.
+ * @static
+ * @type {function(new:Error, string=)}
+ */
+Promise.TimeoutError = TimeoutError;
+
+/**
+ * Error `Promise.retry` rejects with once it runs out of retries.
+ * @static
+ * @type {function(new:Error, string=)}
+ */
+Promise.RetryError = RetryError;
+
+/**
+ * @static
+ * @type {function(new:Deferred)}
+ */
+Promise.Deferred = Deferred;
+
+const asyncIteratorSymbol = typeof Symbol === 'function' && Symbol.asyncIterator;
+
+/**
+ * @param  {any} iterable
+ * @return {boolean} - whether `iterable` implements the async iteration protocol
+ */
+function isAsyncIterable(iterable) {
+    return Boolean(asyncIteratorSymbol && iterable != null &&
+        typeof iterable[asyncIteratorSymbol] === 'function');
+}
+
+// How many values a settled stream reads from an async source beyond those
+// already requested through `next`.
+const STREAM_READ_AHEAD = 16;
+
+/**
+ * Create an async iterator of settlement records for the values of an
+ * iterable or async iterable: `{status: 'fulfilled', value, index}` or
+ * `{status: 'rejected', reason, index}`. The values read are settled
+ * concurrently. A plain iterable is read as soon as the stream is created;
+ * an async source is only read on demand, at most `STREAM_READ_AHEAD` values
+ * ahead of the pending `next` calls, so an endless source is never drained.
+ *
+ * If reading an async source fails, `next` rejects with that error once the
+ * records for the values read before it have been yielded.
+ *
+ * @param  {Iterable<any>|AsyncIterable<any>} iterable
+ * @param  {boolean} ordered - yield records in input order rather than in
+ *     the order the values settle
+ * @return {AsyncIterator<object>}
+ */
+function createSettledStream(iterable, ordered) {
+    // In input order, records are stored by index; otherwise in a FIFO.
+    const records = [];
+    const requests = [];
+    let read = 0;
+    let delivered = 0;
+    let ended = false;
+    let failed = false;
+    let sourceError = null;
+    let closed = false;
+    let source = null;
+    let reading = false;
+
+    const pump = () => {
+        while (requests.length) {
+            if (closed || (ended && delivered === read)) {
+                const request = requests.shift();
+                if (failed && !closed) {
+                    closed = true;
+                    request.reject(sourceError);
+                } else {
+                    closed = true;
+                    request.resolve({ value: undefined, done: true });
+                }
+                continue;
+            }
+            if (ordered ? !(delivered in records) : !records.length) {
+                return;
+            }
+            const record = ordered ? records[delivered] : records.shift();
+            if (ordered) {
+                delete records[delivered];
+            }
+            delivered++;
+            requests.shift().resolve({ value: record, done: false });
+        }
+    };
+
+    const track = (item, index) => {
+        const store = record => {
+            if (closed) {
+                return;
+            }
+            if (ordered) {
+                records[index] = record;
+            } else {
+                records.push(record);
+            }
+            pump();
+            pull();
+        };
+        Promise.resolve(item).then(
+            value => store({ status: FULFILLED, value, index }),
+            reason => store({ status: REJECTED, reason, index })
+        );
+    };
+
+    // Read the next value of an async source, if there is demand for it.
+    const pull = () => {
+        if (!source || reading || ended || closed ||
+            read - delivered >= requests.length + STREAM_READ_AHEAD) {
+            return;
+        }
+        reading = true;
+        new Promise(res => res(source.next())).then(result => {
+            reading = false;
+            if (closed) {
+                return;
+            }
+            if (result.done) {
+                ended = true;
+                pump();
+                return;
+            }
+            track(result.value, read++);
+            pull();
+        }, error => {
+            reading = false;
+            failed = true;
+            sourceError = error;
+            ended = true;
+            pump();
+        });
+    };
+
+    if (isAsyncIterable(iterable)) {
+        source = iterable[asyncIteratorSymbol]();
+        pull();
+    } else {
+        for (let item of iterable) {
+            track(item, read++);
+        }
+        ended = true;
+    }
+
+    const stream = {
+        next() {
+            return new Promise((resolve, reject) => {
+                requests.push({ resolve, reject });
+                pump();
+                pull();
+            });
+        },
+        return(value) {
+            if (!closed) {
+                closed = true;
+                if (source && !ended && typeof source.return === 'function') {
+                    new Promise(res => res(source.return())).catch(noop);
+                }
+                pump();
+            }
+            return Promise.resolve({ value, done: true });
+        }
+    };
+    if (asyncIteratorSymbol) {
+        stream[asyncIteratorSymbol] = () => stream;
+    }
+    return stream;
+}
+
+/**
+ * Collect the values of an async iterable (or a plain iterable) into an
+ * array, waiting for each value in turn. With `limit`, stop reading and
+ * close the iterator after that many values.
+ *
+ * @example
+ *   Promise.fromAsyncIterable(readRows(file), { limit: 100 }).then(preview);
+ *
+ * @static
+ * @param  {AsyncIterable<any>|Iterable<any>} iterable
+ * @param  {{limit: number?}?} options
+ * @return {Promise} - resolves with an array of values
+ */
+Promise.fromAsyncIterable = function fromAsyncIterable(iterable, options = {}) {
+    const C = checkConstructor(this, 'fromAsyncIterable');
+    const limit = options.limit == null ? Infinity : options.limit;
+    return new C((resolve, reject) => {
+        const values = [];
+        const iterator = isAsyncIterable(iterable)
+            ? iterable[asyncIteratorSymbol]()
+            : iterable[Symbol.iterator]();
+        const close = () => {
+            if (typeof iterator.return === 'function') {
+                return Promise.resolve(iterator.return());
+            }
+            return Promise.resolve();
+        };
+        const step = () => {
+            if (values.length >= limit) {
+                close().then(() => resolve(values), reject);
+                return;
+            }
+            new Promise(res => res(iterator.next())).then(result => {
+                if (result.done) {
+                    resolve(values);
+                    return;
+                }
+                Promise.resolve(result.value).then(value => {
+                    values.push(value);
+                    step();
+                }, reason => {
+                    close().then(() => reject(reason), () => reject(reason));
+                });
+            }, reject);
+        };
+        step();
+    });
+};
+
+/**
+ * Create an async iterator that yields a settlement record for each input
+ * value, in input order, as soon as that value and all the ones before it
+ * have settled. Records look like those of `Promise.allSettled`, with an
+ * added `index`. The input may be an iterable or an async iterable.
+ *
+ * @example
+ *   const results = Promise.settleInOrder(urls.map(getJSON));
+ *   (function next() {
+ *     results.next().then(({ value, done }) => {
+ *       if (!done) {
+ *         render(value);
+ *         next();
+ *       }
+ *     });
+ *   })();
+ *
+ * @static
+ * @param  {Iterable<any>|AsyncIterable<any>} iterable
+ * @return {AsyncIterator<{status: string, value: any?, reason: any?, index: number}>}
+ */
+Promise.settleInOrder = function settleInOrder(iterable) {
+    return createSettledStream(iterable, true);
+};
+
+/**
+ * Like `Promise.settleInOrder`, but yields each settlement record as soon as
+ * its value settles, in completion order.
+ * @static
+ * @param  {Iterable<any>|AsyncIterable<any>} iterable
+ * @return {AsyncIterator<{status: string, value: any?, reason: any?, index: number}>}
+ */
+Promise.asCompleted = function asCompleted(iterable) {
+    return createSettledStream(iterable, false);
+};
+
+// Functions that turn yielded values which aren't thenables into Promises,
+// registered with `Promise.coroutine.addYieldHandler`.
+const yieldHandlers = [];
+
+/**
+ * Turn a value yielded by a coroutine into a Promise: thenables are adopted,
+ * anything else goes through the yield handlers until one returns a thenable.
+ * @param  {any} value
+ * @param  {function?} yieldHandler - handler to try before the global ones
+ * @return {Promise}
+ * @throws {TypeError} if no yield handler accepts the value
+ */
+function toYieldedPromise(value, yieldHandler) {
+    const isThenable = x => x !== null && (typeof x === 'object' || typeof x === 'function') &&
+        typeof x.then === 'function';
+    if (isThenable(value)) {
+        return Promise.resolve(value);
+    }
+    const handlers = yieldHandler ? [yieldHandler].concat(yieldHandlers) : yieldHandlers;
+    for (let i = 0; i < handlers.length; i++) {
+        const result = handlers[i](value);
+        if (isThenable(result)) {
+            return Promise.resolve(result);
+        }
+    }
+    throw new TypeError(`A value was yielded that could not be treated as a promise: ${value}`);
+}
+
+/**
+ * Drive a generator object to completion: each yielded Promise's value is
+ * sent back in with `next`, and each rejection is thrown in with `throw`.
+ * @param  {function} C - constructor of the returned Promise
+ * @param  {Generator} generator
+ * @param  {function?} yieldHandler
+ * @return {Promise} - settles with the generator's return value or error
+ */
+function runGenerator(C, generator, yieldHandler) {
+    return new C((resolve, reject) => {
+        const step = (method, arg) => {
+            let result;
+            try {
+                result = generator[method](arg);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            if (result.done) {
+                resolve(result.value);
+                return;
+            }
+            let yielded;
+            try {
+                yielded = toYieldedPromise(result.value, yieldHandler);
+            } catch (e) {
+                step('throw', e);
+                return;
+            }
+            yielded.then(value => step('next', value), reason => step('throw', reason));
+        };
+        step('next', undefined);
+    });
+}
+
+/**
+ * Wrap a generator function so it can `yield` Promises the way an async
+ * function `await`s them, using this Promise class. The wrapper returns a
+ * Promise of the generator's return value. Rejections are thrown into the
+ * generator, so `try`/`catch` works as usual.
+ *
+ * @example
+ *   const loadPage = Promise.coroutine(function* () {
+ *     try {
+ *       const content = yield getJSON('/main/content/api');
+ *       displayContent(content);
+ *     } catch (e) {
+ *       showError('Arrgh nothing ever works');
+ *     }
+ *   });
+ *
+ * @static
+ * @param  {function} generatorFunction
+ * @param  {{yieldHandler: ((value: any) => any)?}?} options - yieldHandler is
+ *     tried before the global yield handlers for values that aren't thenables
+ * @return {(...args: any[]) => Promise}
+ */
+Promise.coroutine = function coroutine(generatorFunction, options = {}) {
+    const C = checkConstructor(this, 'coroutine');
+    if (typeof generatorFunction !== 'function') {
+        throw new TypeError('Coroutine must be a generator function');
+    }
+    return function coroutineInstance(...args) {
+        let generator;
+        try {
+            generator = generatorFunction.apply(this, args);
+        } catch (e) {
+            return C.reject(e);
+        }
+        return runGenerator(C, generator, options.yieldHandler);
+    };
+};
+
+/**
+ * Register a function for coroutines to turn yielded values that aren't
+ * thenables into Promises. It should return a thenable for values it
+ * handles, and anything else for values it doesn't.
+ *
+ * @example
+ *   Promise.coroutine.addYieldHandler(value => {
+ *     if (Array.isArray(value)) {
+ *       return Promise.all(value);
+ *     }
+ *   });
+ *
+ * @static
+ * @param  {(value: any) => any} handler
+ * @return {() => void} - removes the handler
+ */
+Promise.coroutine.addYieldHandler = function addYieldHandler(handler) {
+    if (typeof handler !== 'function') {
+        throw new TypeError('Yield handler must be a function');
+    }
+    yieldHandlers.push(handler);
+    return () => {
+        const index = yieldHandlers.indexOf(handler);
+        if (index !== -1) {
+            yieldHandlers.splice(index, 1);
+        }
+    };
+};
+
+/**
+ * Run a generator as a coroutine right away. Takes either a generator object,
+ * or a generator function to call with the remaining arguments.
+ *
+ * @example
+ *   Promise.co(function* () {
+ *     const [a, b] = yield Promise.all([getAsync1(), getAsync2()]);
+ *     return a + b;
+ *   });
+ *
+ * @static
+ * @param  {Generator|function} generator
+ * @param  {...any} args
+ * @return {Promise}
+ */
+Promise.co = function co(generator, ...args) {
+    const C = checkConstructor(this, 'co');
+    if (typeof generator === 'function') {
+        return C.coroutine(generator).apply(this, args);
+    }
+    if (!generator || typeof generator.next !== 'function') {
+        return C.reject(new TypeError('Expected a generator or generator function'));
+    }
+    return runGenerator(C, generator);
+};
+
+/**
+ * Create a Node-style callback that settles a Promise: it rejects with the
+ * first argument if that is truthy, and resolves with the second otherwise
+ * (or with an array of every argument after the first, with `multiArgs`).
+ * @param  {(val: any) => void} resolve
+ * @param  {(reason: any) => void} reject
+ * @param  {boolean} multiArgs
+ * @return {(err: any, ...values: any[]) => void}
+ */
+function createErrback(resolve, reject, multiArgs) {
+    return (err, ...values) => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve(multiArgs ? values : values[0]);
+        }
+    };
+}
+
+/**
+ * Wrap a function that takes a Node-style callback as its last argument, so
+ * it returns a Promise instead. The wrapper is called with the same `this`
+ * as the wrapped function, unless `context` is given.
+ *
+ * @example
+ *   const getJSONPromise = Promise.promisify(getJSON);
+ *   getJSONPromise('/bar').then(bar => console.log(bar));
+ *
+ * @static
+ * @param  {function} fn
+ * @param  {{multiArgs: boolean?, context: any?}?} options - with
+ *     `multiArgs`, resolve with an array of every callback argument after
+ *     the error
+ * @return {(...args: any[]) => Promise}
+ */
+Promise.promisify = function promisify(fn, options = {}) {
+    const C = checkConstructor(this, 'promisify');
+    if (typeof fn !== 'function') {
+        throw new TypeError('Can only promisify functions');
+    }
+    const { multiArgs = false } = options;
+    const hasContext = 'context' in options;
+    return function promisified(...args) {
+        const context = hasContext ? options.context : this;
+        return new C((resolve, reject) => {
+            fn.apply(context, args.concat(createErrback(resolve, reject, multiArgs)));
+        });
+    };
+};
+
+/**
+ * Add a promisified copy of every method of `object` (including inherited
+ * ones), named with `suffix` appended. Methods that already have a copy, and
+ * methods whose names already end in `suffix`, are skipped.
+ *
+ * @example
+ *   const fs = Promise.promisifyAll(require('fs'));
+ *   fs.readFileAsync('foo.txt', 'utf8').then(console.log);
+ *
+ * @static
+ * @param  {object} object
+ * @param  {{suffix: string?, multiArgs: boolean?}?} options
+ * @return {object} - `object`
+ */
+Promise.promisifyAll = function promisifyAll(object, options = {}) {
+    const C = checkConstructor(this, 'promisifyAll');
+    const { suffix = 'Async', multiArgs = false } = options;
+    const seen = {};
+    for (let proto = object; proto && proto !== Object.prototype && proto !== Function.prototype;
+            proto = Object.getPrototypeOf(proto)) {
+        Object.getOwnPropertyNames(proto).forEach(key => {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+            if (seen[key] || key === 'constructor' || typeof descriptor.value !== 'function') {
+                return;
+            }
+            seen[key] = true;
+            const name = key + suffix;
+            if (key.slice(-suffix.length) === suffix || name in object) {
+                return;
+            }
+            object[name] = C.promisify(descriptor.value, { multiArgs });
+        });
+    }
+    return object;
+};
+
+/**
+ * Construct a Promise from a function that takes a Node-style callback.
+ *
+ * @example
+ *   Promise.fromCallback(callback => getJSON('/bar', callback));
+ *
+ * @static
+ * @param  {(callback: (err: any, ...values: any[]) => void) => void} resolver
+ * @param  {{multiArgs: boolean?}?} options
+ * @return {Promise}
+ */
+Promise.fromCallback = function fromCallback(resolver, options = {}) {
+    const C = checkConstructor(this, 'fromCallback');
+    return new C((resolve, reject) => {
+        resolver(createErrback(resolve, reject, Boolean(options.multiArgs)));
+    });
+};
+
+/**
+ * Configure optional, debugging-oriented behavior. Returns the resulting
+ * configuration.
+ *
+ * With `longStackTraces` on, every Promise records the stack where it was
+ * created (for derived Promises, where `then` was called), and the stack of
+ * an `Error` it rejects with is extended with the stacks of the Promise and
+ * its ancestors. This is expensive; when off, nothing is recorded.
+ *
+ * @example
+ *   Promise.config({ longStackTraces: process.env.NODE_ENV !== 'production' });
+ *
+ * @static
+ * @param  {{longStackTraces: boolean?}?} options
+ * @return {{longStackTraces: boolean}}
+ */
+Promise.config = function configure(options = {}) {
+    if ('longStackTraces' in options) {
+        config.longStackTraces = Boolean(options.longStackTraces);
+    }
+    return Object.assign({}, config);
+};
+
+/**
+ * Replace the function used to schedule Promise jobs. The scheduler is called
+ * with a `flush` function whenever jobs are queued and no flush is pending; it
+ * must call `flush` asynchronously, exactly once. Call with no arguments to
+ * restore the default microtask scheduler.
+ *
+ * With the default scheduler, where `queueMicrotask` exists, every job is a
+ * native microtask of its own, so handlers interleave with those of native
+ * Promises in spec order. A custom scheduler gets one `flush` per batch
+ * instead, which runs every job queued until the queue is empty.
+ *
+ * @example
+ *   // Drive the queue by hand in tests
+ *   let flush;
+ *   Promise.setScheduler(fn => { flush = fn; });
+ *   Promise.resolve('foo').then(console.log);
+ *   flush(); // logs 'foo'
+ *
+ * @static
+ * @param  {((flush: () => void) => void)?} fn
+ * @return {(flush: () => void) => void} - the previous scheduler
+ */
+Promise.setScheduler = function setScheduler(fn) {
+    if (fn != null && typeof fn !== 'function') {
+        throw new TypeError('Scheduler must be a function');
+    }
+    const previous = scheduler;
+    scheduler = fn || defaultScheduler;
+    if (scheduler !== previous) {
+        // The previous scheduler may never call the flush it was asked for,
+        // so hand whatever is queued over to the new one.
+        flushScheduled = false;
+        if (queueIndex < queue.length || pendingRejections.length > 0) {
+            requestFlush();
+        }
+    }
+    return previous;
+};
+
+/**
+ * Register a listener for Promises that are rejected and still have no
+ * handlers once the current turn's jobs have run. The listener is called with
+ * the rejection reason and the Promise. In Node, the event is also sent
+ * through `process.emit('unhandledRejection', reason, promise)`.
+ *
+ * With the default scheduler, the check runs in the next macrotask (through
+ * `setTimeout`), so a handler attached by any microtask of the current turn,
+ * ours or a native Promise's, is in time. With a custom scheduler, it runs
+ * once a flush has emptied the queue.
+ *
+ * @example
+ *   Promise.onUnhandledRejection((reason, promise) => {
+ *     console.error('Unhandled rejection:', reason);
+ *   });
+ *
+ * @static
+ * @param  {(reason: any, promise: Promise) => void} handler
+ * @return {() => void} - removes the listener
+ */
+Promise.onUnhandledRejection = function onUnhandledRejection(handler) {
+    return addRejectionListener('unhandledRejection', handler);
+};
+
+/**
+ * Register a listener for Promises that were reported as unhandled and later
+ * got a handler. In Node, the event is also sent through
+ * `process.emit('rejectionHandled', promise)`.
+ * @static
+ * @param  {(promise: Promise) => void} handler
+ * @return {() => void} - removes the listener
+ */
+Promise.onRejectionHandled = function onRejectionHandled(handler) {
+    return addRejectionListener('rejectionHandled', handler);
+};
+
+/**
+ * Observe the lifecycle of every Promise, in the spirit of Node's
+ * `async_hooks`. Each callback is optional, and receives an event with the
+ * Promise's `id`, the `parentId` of the Promise it was derived from with
+ * `then` (or null), a `timestamp` in milliseconds and the `promise` itself:
+ *  - `init`: a Promise was constructed
+ *  - `settle`: a Promise fulfilled or rejected; the event adds `state` and
+ *    `value`, the value or reason
+ *  - `before`, `after`: a `then` handler is about to run, or has run; the
+ *    event is for the Promise derived by that `then`
+ *  - `handled`: a Promise got its first handler
+ *
+ * Promises created while the hooks run don't emit events. While any hooks
+ * are registered, Promises adopting each other don't collapse (see
+ * `collapse`), so every Promise in a chain settles on its own.
+ *
+ * @example
+ *   const stop = Promise.hooks({
+ *     init: ({ id, parentId }) => console.log(`#${id} from #${parentId}`),
+ *     settle: ({ id, state }) => console.log(`#${id} ${state}`)
+ *   });
+ *
+ * @static
+ * @param  {{init: function?, settle: function?, before: function?, after: function?, handled: function?}} callbacks
+ * @return {() => void} - removes the hooks
+ */
+Promise.hooks = function hooks(callbacks) {
+    if (callbacks === null || typeof callbacks !== 'object') {
+        throw new TypeError('Expected an object of hook callbacks');
+    }
+    // Keep the functions themselves, in case `callbacks` changes later.
+    const registered = Object.keys(hookListeners)
+        .filter(type => callbacks[type] != null)
+        .map(type => ({ type, listener: callbacks[type] }));
+    registered.forEach(({ type, listener }) => {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Hook '${type}' must be a function`);
+        }
+    });
+    registered.forEach(({ type, listener }) => {
+        hookListeners[type].push(listener);
+        hookCount++;
+    });
+
+    let removed = false;
+    return () => {
+        if (removed) {
+            return;
+        }
+        removed = true;
+        registered.forEach(({ type, listener }) => {
+            const listeners = hookListeners[type];
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+                hookCount--;
+            }
+        });
+    };
+};
+
+/**
+ * @class Records the Promises created while it is started, through
+ * `Promise.hooks`, and dumps the graph they form as JSON or Graphviz DOT.
+ * Only ids, states and timings are kept, not values.
+ *
+ * @example
+ *   const recorder = new Promise.Recorder().start();
+ *   getJSON('/foo').then(process).catch(showError).then(() => {
+ *     recorder.stop();
+ *     fs.writeFileSync('promises.dot', recorder.toDot());
+ *   });
+ */
+class Recorder {
+
+    constructor() {
+        this._records = [];
+        this._byId = {};
+        this._stop = null;
+    }
+
+    /**
+     * Start recording, unless already started.
+     * @return {Recorder} - this recorder, for chaining
+     */
+    start() {
+        if (!this._stop) {
+            this._stop = Promise.hooks({
+                init: event => {
+                    this._record(event).createdAt = event.timestamp;
+                },
+                settle: event => {
+                    const record = this._record(event);
+                    record.state = event.state;
+                    record.settledAt = event.timestamp;
+                    if (event.state === REJECTED) {
+                        const reason = event.value;
+                        record.reason = String(reason instanceof Error ? reason.message : reason);
+                    }
+                },
+                before: event => {
+                    this._record(event).handlerStart = event.timestamp;
+                },
+                after: event => {
+                    this._record(event).handlerEnd = event.timestamp;
+                },
+                handled: event => {
+                    this._record(event).handled = true;
+                }
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Stop recording. What was recorded so far is kept.
+     * @return {Recorder} - this recorder, for chaining
+     */
+    stop() {
+        if (this._stop) {
+            this._stop();
+            this._stop = null;
+        }
+        return this;
+    }
+
+    /**
+     * Forget everything recorded so far.
+     * @return {Recorder} - this recorder, for chaining
+     */
+    clear() {
+        this._records = [];
+        this._byId = {};
+        return this;
+    }
+
+    /**
+     * Find or create the record of the Promise an event is about. Promises
+     * created before recording started get a record on their first event.
+     * @param  {object} event
+     * @return {object}
+     */
+    _record(event) {
+        let record = this._byId[event.id];
+        if (!record) {
+            record = {
+                id: event.id,
+                parentId: event.parentId,
+                state: PENDING,
+                reason: null,
+                handled: false,
+                createdAt: null,
+                settledAt: null,
+                handlerStart: null,
+                handlerEnd: null
+            };
+            this._byId[event.id] = record;
+            this._records.push(record);
+        }
+        return record;
+    }
+
+    /**
+     * @return {{promises: Array<object>}} - one record per Promise, in the
+     *     order they were first seen; used by `JSON.stringify(recorder)`
+     */
+    toJSON() {
+        return { promises: this._records.map(record => Object.assign({}, record)) };
+    }
+
+    /**
+     * Lay out the recorded Promises as a Graphviz graph, with an edge from
+     * each Promise to the ones derived from it.
+     * @example
+     *   fs.writeFileSync('promises.dot', recorder.toDot());
+     *   // dot -Tsvg promises.dot > promises.svg
+     * @return {string}
+     */
+    toDot() {
+        const colors = { [PENDING]: 'gray', [FULFILLED]: 'darkgreen', [REJECTED]: 'red' };
+        const lines = ['digraph promises {', '    node [shape=box];'];
+        this._records.forEach(record => {
+            let label = `#${record.id} ${record.state}`;
+            if (record.reason !== null) {
+                label += `\\n${record.reason.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n')}`;
+            }
+            const style = record.state === REJECTED && !record.handled ? ', style=bold' : '';
+            lines.push(`    p${record.id} [label="${label}", color=${colors[record.state]}${style}];`);
+        });
+        this._records.forEach(record => {
+            if (record.parentId !== null && this._byId[record.parentId]) {
+                lines.push(`    p${record.parentId} -> p${record.id};`);
+            }
+        });
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+}
+
+/**
+ * @static
+ * @type {function(new:Recorder)}
+ */
+Promise.Recorder = Recorder;
+
+/**
+ * @class Holds a value, like a request's trace id, for the code run through
+ * `run` and for every `then`, `catch` and progress handler registered along
+ * the way, however many Promises later it runs. Construct one with
+ * `Promise.createContext()`.
+ */
+class Context {
+
+    constructor() {
+        this._key = `context${nextContextId++}`;
+    }
+
+    /**
+     * Call `fn` with `value` as this context's value. Other contexts keep
+     * theirs, and the previous value is restored when `fn` returns or throws.
+     * @param  {any} value
+     * @param  {(...args: any) => any} fn
+     * @param  {...any} args - passed to `fn`
+     * @return {any} - what `fn` returns
+     */
+    run(value, fn, ...args) {
+        const previous = activeContext;
+        const context = Object.assign({}, previous);
+        context[this._key] = value;
+        activeContext = context;
+        try {
+            return fn(...args);
+        } finally {
+            activeContext = previous;
+        }
+    }
+
+    /**
+     * @return {any} - the value of the innermost `run` of this context that
+     *     the current code runs in, if any
+     */
+    get() {
+        return activeContext !== null ? activeContext[this._key] : undefined;
+    }
+
+}
+
+/**
+ * Create a context that carries a value across Promise handlers, like Node's
+ * `AsyncLocalStorage` does for native Promises. A handler runs with the
+ * values that were active when it was registered with `then`, `catch`,
+ * `finally` or `progress`, which also covers the statics built on them, like
+ * `Promise.all` and `Promise.race`.
+ *
+ * @example
+ *   const requestId = Promise.createContext();
+ *   app.use((req, res, next) => requestId.run(req.id, next));
+ *   // ...then anywhere down the chain
+ *   getJSON('/foo').then(foo => log(requestId.get(), foo));
+ *
+ * @static
+ * @return {Context}
+ */
+Promise.createContext = function createContext() {
+    return new Context();
+};
 
 export default Promise;
@@ -0,0 +1,163 @@
+/**
+ * A facade over `./promise` shaped like Angular's `$q` service, so code
+ * written against `$q` can run (and be unit tested) without Angular.
+ *
+ * `$q` runs promise callbacks inside a digest, which is what makes it the
+ * right choice in Angular apps. Here, `afterSettle` stands in for that: point
+ * it at a digest function and it runs once a batch of callbacks, chained ones
+ * included, has run.
+ *
+ * @example
+ *   import { createQ } from './q';
+ *   const $q = createQ({ afterSettle: () => $rootScope.$digest() });
+ *   const deferred = $q.defer();
+ *   deferred.promise.then(render, showError, updateSpinner);
+ */
+import Promise from './promise';
+
+/**
+ * Create a `$q` service.
+ * @param  {{afterSettle: (() => void)?}?} options - `afterSettle` is called
+ *     once per batch of promise callbacks, in the next macrotask after the
+ *     first of them runs; errors it throws surface as uncaught exceptions
+ * @return {function} - `$q(resolver)`, with the `$q.*` helpers attached
+ */
+export function createQ(options = {}) {
+    const { afterSettle } = options;
+    let scheduled = false;
+
+    const runAfterSettle = () => {
+        scheduled = false;
+        afterSettle();
+    };
+
+    /**
+     * Wrap a callback so that running it schedules `afterSettle`. A timer
+     * lets the callbacks it leads to run first, since they are all queued as
+     * microtasks.
+     * @param  {function?} callback
+     * @return {function?}
+     */
+    const withDigest = callback => {
+        if (typeof callback !== 'function' || typeof afterSettle !== 'function') {
+            return callback;
+        }
+        return value => {
+            if (!scheduled) {
+                scheduled = true;
+                setTimeout(runAfterSettle, 0);
+            }
+            return callback(value);
+        };
+    };
+
+    /**
+     * @class A Promise with the `$q` flavor of `then` and `finally`, which
+     * take a progress callback as their last argument.
+     */
+    class QPromise extends Promise {
+
+        /**
+         * @param  {(val: any) => any?} successCallback
+         * @param  {(reason: any) => any?} errorCallback
+         * @param  {(progress: any) => void?} notifyCallback
+         * @return {QPromise}
+         */
+        then(successCallback, errorCallback, notifyCallback) {
+            if (typeof notifyCallback === 'function') {
+                this.progress(withDigest(notifyCallback));
+            }
+            return super.then(withDigest(successCallback), withDigest(errorCallback));
+        }
+
+        /**
+         * @param  {() => any} callback
+         * @param  {(progress: any) => void?} notifyCallback
+         * @return {QPromise}
+         */
+        finally(callback, notifyCallback) {
+            if (typeof notifyCallback === 'function') {
+                this.progress(withDigest(notifyCallback));
+            }
+            return super.finally(callback);
+        }
+
+    }
+
+    /**
+     * Construct a promise from a resolver, like the ES2015 constructor.
+     * @param  {(resolve: (val: any) => void, reject: (reason: any) => void) => void} resolver
+     * @return {QPromise}
+     */
+    function $q(resolver) {
+        if (typeof resolver !== 'function') {
+            throw new TypeError(`Expected resolverFn, got '${resolver}'`);
+        }
+        return new QPromise(resolver);
+    }
+
+    /**
+     * @return {{promise: QPromise, resolve: function, reject: function, notify: function}}
+     */
+    $q.defer = function defer() {
+        const deferred = {};
+        deferred.promise = new QPromise((resolve, reject, notify) => {
+            deferred.resolve = resolve;
+            deferred.reject = reject;
+            deferred.notify = notify;
+        });
+        return deferred;
+    };
+
+    /**
+     * Wrap a value or thenable in a promise, optionally chaining callbacks.
+     * @param  {any} value
+     * @param  {function?} successCallback
+     * @param  {function?} errorCallback
+     * @param  {function?} progressCallback
+     * @return {QPromise}
+     */
+    $q.when = function when(value, successCallback, errorCallback, progressCallback) {
+        const promise = QPromise.resolve(value);
+        if (successCallback || errorCallback || progressCallback) {
+            return promise.then(successCallback, errorCallback, progressCallback);
+        }
+        return promise;
+    };
+
+    // Alias of `when`, for naming consistency with ES2015.
+    $q.resolve = $q.when;
+
+    /**
+     * @param  {any} reason
+     * @return {QPromise}
+     */
+    $q.reject = function reject(reason) {
+        return QPromise.reject(reason);
+    };
+
+    /**
+     * Combine an array or an object of promises into one promise of an array
+     * or an object of their values, with the same keys.
+     * @param  {Array<any>|object} promises
+     * @return {QPromise}
+     */
+    $q.all = function all(promises) {
+        return Array.isArray(promises) ? QPromise.all(promises) : QPromise.props(promises);
+    };
+
+    /**
+     * Settle like the first of an array or an object of promises to settle.
+     * @param  {Array<any>|object} promises
+     * @return {QPromise}
+     */
+    $q.race = function race(promises) {
+        return QPromise.race(Array.isArray(promises)
+            ? promises
+            : Object.keys(promises).map(key => promises[key]));
+    };
+
+    return $q;
+}
+
+export default createQ();
@@ -0,0 +1,958 @@
+/**
+ * Conformance suite: the Promises/A+ 1.1 requirements (section 2), plus the
+ * ES2015+ behavior covered by test262 that A+ leaves open (job ordering,
+ * subclassing, statics). Every case runs against each implementation below.
+ *
+ * Implementations that knowingly deviate from the ES spec opt out of the
+ * affected cases through their `features`.
+ */
+import CustomPromise from '../promise';
+import { Promise as ES6Promise } from 'es6-promise';
+////////////////////////////////////////////////////////////////////////////////
+import * as chai from 'chai';
+
+const NativePromise = global.Promise;
+
+const implementations = [
+    {
+        name: 'promise.js',
+        Promise: CustomPromise,
+        features: { jobOrdering: true, iterables: true, subclassing: true, species: true }
+    },
+    {
+        // es6-promise follows A+ but not ES: it adopts its own promises
+        // without the extra job, schedules on its own queue, only takes
+        // arrays in `all` and `race`, and ignores `Symbol.species`.
+        name: 'es6-promise',
+        Promise: ES6Promise,
+        features: { jobOrdering: false, iterables: false, subclassing: true, species: false }
+    },
+    {
+        name: 'native',
+        Promise: NativePromise,
+        features: { jobOrdering: true, iterables: true, subclassing: true, species: true }
+    }
+];
+
+const dummy = { dummy: 'dummy' };
+const sentinel = { sentinel: 'sentinel' };
+const other = { other: 'other' };
+
+function noop() {}
+
+/**
+ * Create a subclass without `class` syntax, since classes compiled by Babel
+ * can't extend native built-ins.
+ */
+function subclass(P) {
+    function SubPromise(executor) {
+        return Reflect.construct(P, [executor], new.target || SubPromise);
+    }
+    Object.setPrototypeOf(SubPromise, P);
+    SubPromise.prototype = Object.create(P.prototype, {
+        constructor: { value: SubPromise, writable: true, configurable: true }
+    });
+    return SubPromise;
+}
+
+implementations.forEach(({ name, Promise: P, features }) => {
+
+    // Rejected promises are pre-handled so that native ones don't trip
+    // Node's unhandled rejection check; that doesn't affect their behavior.
+    const resolved = value => P.resolve(value);
+    const rejected = reason => {
+        const p = P.reject(reason);
+        p.then(null, noop);
+        return p;
+    };
+    const deferred = () => {
+        let resolve;
+        let reject;
+        const promise = new P((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        promise.then(null, noop);
+        return { promise, resolve, reject };
+    };
+    const silence = p => {
+        p.then(null, noop);
+        return p;
+    };
+    const itIf = feature => features[feature] ? it : it.skip;
+
+    /**
+     * Run `test` against a promise fulfilled with `value` already, right
+     * away, and after a delay.
+     */
+    function testFulfilled(value, test) {
+        it('already-fulfilled', done => {
+            test(resolved(value), done);
+        });
+        it('immediately-fulfilled', done => {
+            const d = deferred();
+            test(d.promise, done);
+            d.resolve(value);
+        });
+        it('eventually-fulfilled', done => {
+            const d = deferred();
+            test(d.promise, done);
+            setTimeout(() => d.resolve(value), 5);
+        });
+    }
+
+    /**
+     * Run `test` against a promise rejected with `reason` already, right
+     * away, and after a delay.
+     */
+    function testRejected(reason, test) {
+        it('already-rejected', done => {
+            test(rejected(reason), done);
+        });
+        it('immediately-rejected', done => {
+            const d = deferred();
+            test(d.promise, done);
+            d.reject(reason);
+        });
+        it('eventually-rejected', done => {
+            const d = deferred();
+            test(d.promise, done);
+            setTimeout(() => d.reject(reason), 5);
+        });
+    }
+
+    describe(`conformance: ${name}`, () => {
+
+        describe('2.1.2: When fulfilled, a promise must not transition to any other state', () => {
+            testFulfilled(dummy, (promise, done) => {
+                let onFulfilledCalled = false;
+                promise.then(() => {
+                    onFulfilledCalled = true;
+                }, () => {
+                    chai.expect(onFulfilledCalled).to.equal(false);
+                    done('unexpected reject');
+                });
+                setTimeout(done, 10);
+            });
+            it('trying to fulfill then immediately reject', done => {
+                const d = deferred();
+                let onFulfilledCalled = false;
+                d.promise.then(() => {
+                    onFulfilledCalled = true;
+                }, () => done('unexpected reject'));
+                d.resolve(dummy);
+                d.reject(dummy);
+                setTimeout(() => {
+                    chai.expect(onFulfilledCalled).to.equal(true);
+                    done();
+                }, 10);
+            });
+            it('trying to fulfill then reject, delayed', done => {
+                const d = deferred();
+                d.promise.then(noop, () => done('unexpected reject'));
+                setTimeout(() => {
+                    d.resolve(dummy);
+                    d.reject(dummy);
+                }, 5);
+                setTimeout(done, 10);
+            });
+        });
+
+        describe('2.1.3: When rejected, a promise must not transition to any other state', () => {
+            testRejected(dummy, (promise, done) => {
+                let onRejectedCalled = false;
+                promise.then(() => done('unexpected resolve'), () => {
+                    onRejectedCalled = true;
+                });
+                setTimeout(() => {
+                    chai.expect(onRejectedCalled).to.equal(true);
+                    done();
+                }, 10);
+            });
+            it('trying to reject then immediately fulfill', done => {
+                const d = deferred();
+                d.promise.then(() => done('unexpected resolve'), noop);
+                d.reject(dummy);
+                d.resolve(dummy);
+                setTimeout(done, 10);
+            });
+        });
+
+        describe('2.2.1: Both `onFulfilled` and `onRejected` are optional arguments', () => {
+            [undefined, null, false, 5, {}].forEach(nonFunction => {
+                it(`ignores a non-function \`onFulfilled\`: ${nonFunction}`, done => {
+                    rejected(dummy).then(nonFunction, () => done());
+                });
+                it(`ignores a non-function \`onRejected\`: ${nonFunction}`, done => {
+                    resolved(dummy).then(() => done(), nonFunction);
+                });
+            });
+        });
+
+        describe('2.2.2: If `onFulfilled` is a function', () => {
+            describe('2.2.2.1: it must be called after `promise` is fulfilled, with its value', () => {
+                testFulfilled(sentinel, (promise, done) => {
+                    promise.then(value => {
+                        chai.expect(value).to.equal(sentinel);
+                        done();
+                    });
+                });
+            });
+            describe('2.2.2.2: it must not be called before `promise` is fulfilled', () => {
+                it('fulfilled after a delay', done => {
+                    const d = deferred();
+                    let isFulfilled = false;
+                    d.promise.then(() => {
+                        chai.expect(isFulfilled).to.equal(true);
+                        done();
+                    });
+                    setTimeout(() => {
+                        d.resolve(dummy);
+                        isFulfilled = true;
+                    }, 5);
+                });
+                it('never fulfilled', done => {
+                    const d = deferred();
+                    d.promise.then(() => done('unexpected resolve'));
+                    setTimeout(done, 10);
+                });
+            });
+            describe('2.2.2.3: it must not be called more than once', () => {
+                it('already-fulfilled', done => {
+                    let timesCalled = 0;
+                    resolved(dummy).then(() => {
+                        chai.expect(++timesCalled).to.equal(1);
+                        done();
+                    });
+                });
+                it('trying to fulfill a pending promise more than once, immediately', done => {
+                    const d = deferred();
+                    let timesCalled = 0;
+                    d.promise.then(() => {
+                        chai.expect(++timesCalled).to.equal(1);
+                        done();
+                    });
+                    d.resolve(dummy);
+                    d.resolve(dummy);
+                });
+                it('trying to fulfill a pending promise more than once, delayed', done => {
+                    const d = deferred();
+                    let timesCalled = 0;
+                    d.promise.then(() => {
+                        chai.expect(++timesCalled).to.equal(1);
+                        done();
+                    });
+                    setTimeout(() => {
+                        d.resolve(dummy);
+                        d.resolve(dummy);
+                    }, 5);
+                });
+                it('when `then` is interleaved with fulfillment', done => {
+                    const d = deferred();
+                    let timesCalled = [0, 0];
+                    d.promise.then(() => {
+                        chai.expect(++timesCalled[0]).to.equal(1);
+                    });
+                    d.resolve(dummy);
+                    d.promise.then(() => {
+                        chai.expect(++timesCalled[1]).to.equal(1);
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('2.2.3: If `onRejected` is a function', () => {
+            describe('2.2.3.1: it must be called after `promise` is rejected, with its reason', () => {
+                testRejected(sentinel, (promise, done) => {
+                    promise.then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+            });
+            describe('2.2.3.2: it must not be called before `promise` is rejected', () => {
+                it('rejected after a delay', done => {
+                    const d = deferred();
+                    let isRejected = false;
+                    d.promise.then(null, () => {
+                        chai.expect(isRejected).to.equal(true);
+                        done();
+                    });
+                    setTimeout(() => {
+                        d.reject(dummy);
+                        isRejected = true;
+                    }, 5);
+                });
+                it('never rejected', done => {
+                    const d = deferred();
+                    d.promise.then(null, () => done('unexpected reject'));
+                    setTimeout(done, 10);
+                });
+            });
+            describe('2.2.3.3: it must not be called more than once', () => {
+                it('trying to reject a pending promise more than once', done => {
+                    const d = deferred();
+                    let timesCalled = 0;
+                    d.promise.then(null, () => {
+                        chai.expect(++timesCalled).to.equal(1);
+                        done();
+                    });
+                    d.reject(dummy);
+                    d.reject(dummy);
+                });
+                it('trying to reject then fulfill, delayed', done => {
+                    const d = deferred();
+                    let timesCalled = 0;
+                    d.promise.then(() => done('unexpected resolve'), () => {
+                        chai.expect(++timesCalled).to.equal(1);
+                        done();
+                    });
+                    setTimeout(() => {
+                        d.reject(dummy);
+                        d.resolve(dummy);
+                    }, 5);
+                });
+            });
+        });
+
+        describe('2.2.4: handlers must not be called until the execution context stack is empty', () => {
+            it('`then` on an already-fulfilled promise', done => {
+                let thenHasReturned = false;
+                resolved(dummy).then(() => {
+                    chai.expect(thenHasReturned).to.equal(true);
+                    done();
+                });
+                thenHasReturned = true;
+            });
+            it('`then` on an already-rejected promise', done => {
+                let thenHasReturned = false;
+                rejected(dummy).then(null, () => {
+                    chai.expect(thenHasReturned).to.equal(true);
+                    done();
+                });
+                thenHasReturned = true;
+            });
+            it('when the promise is fulfilled after `then`', done => {
+                const d = deferred();
+                let firstStackFinished = false;
+                setTimeout(() => {
+                    d.resolve(dummy);
+                    firstStackFinished = true;
+                }, 0);
+                d.promise.then(() => {
+                    chai.expect(firstStackFinished).to.equal(true);
+                    done();
+                });
+            });
+            it('when `then` is called inside `onFulfilled`', done => {
+                const promise = resolved(dummy);
+                let firstOnFulfilledFinished = false;
+                promise.then(() => {
+                    promise.then(() => {
+                        chai.expect(firstOnFulfilledFinished).to.equal(true);
+                        done();
+                    });
+                    firstOnFulfilledFinished = true;
+                });
+            });
+            it('when `then` is called inside `onRejected`', done => {
+                const promise = rejected(dummy);
+                let firstOnRejectedFinished = false;
+                promise.then(null, () => {
+                    promise.then(null, () => {
+                        chai.expect(firstOnRejectedFinished).to.equal(true);
+                        done();
+                    });
+                    firstOnRejectedFinished = true;
+                });
+            });
+            it('when the executor resolves synchronously', done => {
+                let executorReturned = false;
+                new P(resolve => {
+                    resolve(dummy);
+                }).then(() => {
+                    chai.expect(executorReturned).to.equal(true);
+                    done();
+                });
+                executorReturned = true;
+            });
+        });
+
+        describe('2.2.5: handlers must be called as functions, with no `this` value', () => {
+            it('fulfilled', done => {
+                resolved(dummy).then(function onFulfilled() {
+                    chai.expect(this).to.equal(undefined);
+                    done();
+                });
+            });
+            it('rejected', done => {
+                rejected(dummy).then(null, function onRejected() {
+                    chai.expect(this).to.equal(undefined);
+                    done();
+                });
+            });
+        });
+
+        describe('2.2.6: `then` may be called multiple times on the same promise', () => {
+            describe('2.2.6.1: `onFulfilled` callbacks run in the order of their `then` calls', () => {
+                testFulfilled(sentinel, (promise, done) => {
+                    const order = [];
+                    promise.then(() => order.push(1));
+                    silence(promise.then(() => {
+                        order.push(2);
+                        throw other;
+                    }));
+                    promise.then(() => order.push(3));
+                    promise.then(value => {
+                        chai.expect(value).to.equal(sentinel);
+                        chai.expect(order).to.deep.equal([1, 2, 3]);
+                        done();
+                    });
+                });
+                testFulfilled(sentinel, (promise, done) => {
+                    const results = [
+                        promise.then(() => other),
+                        promise.then(value => value),
+                        silence(promise.then(() => {
+                            throw other;
+                        }))
+                    ];
+                    results[0].then(value => chai.expect(value).to.equal(other));
+                    results[1].then(value => chai.expect(value).to.equal(sentinel));
+                    results[2].then(null, reason => {
+                        chai.expect(reason).to.equal(other);
+                        done();
+                    });
+                });
+                testFulfilled(dummy, (promise, done) => {
+                    const order = [];
+                    promise.then(() => {
+                        order.push(1);
+                        promise.then(() => {
+                            order.push(4);
+                            chai.expect(order).to.deep.equal([1, 2, 3, 4]);
+                            done();
+                        });
+                    });
+                    promise.then(() => order.push(2));
+                    promise.then(() => order.push(3));
+                });
+            });
+            describe('2.2.6.2: `onRejected` callbacks run in the order of their `then` calls', () => {
+                testRejected(sentinel, (promise, done) => {
+                    const order = [];
+                    promise.then(null, () => order.push(1));
+                    silence(promise.then(null, () => {
+                        order.push(2);
+                        throw other;
+                    }));
+                    promise.then(null, () => order.push(3));
+                    promise.then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        chai.expect(order).to.deep.equal([1, 2, 3]);
+                        done();
+                    });
+                });
+                testRejected(dummy, (promise, done) => {
+                    const order = [];
+                    promise.then(null, () => {
+                        order.push(1);
+                        promise.then(null, () => {
+                            order.push(4);
+                            chai.expect(order).to.deep.equal([1, 2, 3, 4]);
+                            done();
+                        });
+                    });
+                    promise.then(null, () => order.push(2));
+                    promise.then(null, () => order.push(3));
+                });
+            });
+        });
+
+        describe('2.2.7: `then` must return a promise', () => {
+            it('is a promise', done => {
+                const promise = resolved(dummy).then();
+                chai.expect(promise).to.be.an.instanceof(P);
+                chai.expect(promise.then).to.be.a('function');
+                done();
+            });
+            describe('2.2.7.2: if a handler throws `e`, the returned promise rejects with `e`', () => {
+                [undefined, null, false, 0, new Error('foo'), {}, dummy].forEach(e => {
+                    it(`\`onFulfilled\` throws ${e}`, done => {
+                        resolved(dummy).then(() => {
+                            throw e;
+                        }).then(null, reason => {
+                            chai.expect(reason).to.equal(e);
+                            done();
+                        });
+                    });
+                    it(`\`onRejected\` throws ${e}`, done => {
+                        rejected(dummy).then(null, () => {
+                            throw e;
+                        }).then(null, reason => {
+                            chai.expect(reason).to.equal(e);
+                            done();
+                        });
+                    });
+                });
+            });
+            describe('2.2.7.3: with no `onFulfilled`, the returned promise fulfills with the same value', () => {
+                testFulfilled(sentinel, (promise, done) => {
+                    promise.then(null, noop).then(value => {
+                        chai.expect(value).to.equal(sentinel);
+                        done();
+                    });
+                });
+            });
+            describe('2.2.7.4: with no `onRejected`, the returned promise rejects with the same reason', () => {
+                testRejected(sentinel, (promise, done) => {
+                    promise.then(noop).then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('2.3.1: resolving a promise with itself rejects with a TypeError', () => {
+            it('via `onFulfilled`', done => {
+                const promise = resolved(dummy).then(() => promise);
+                promise.then(null, reason => {
+                    chai.expect(reason).to.be.an.instanceof(TypeError);
+                    done();
+                });
+            });
+            it('via `onRejected`', done => {
+                const promise = rejected(dummy).then(null, () => promise);
+                promise.then(null, reason => {
+                    chai.expect(reason).to.be.an.instanceof(TypeError);
+                    done();
+                });
+            });
+        });
+
+        describe('2.3.2: if `x` is a promise, adopt its state', () => {
+            it('2.3.2.1: remains pending while `x` is pending', done => {
+                const d = deferred();
+                let settled = false;
+                resolved(dummy).then(() => d.promise).then(() => {
+                    settled = true;
+                }, () => {
+                    settled = true;
+                });
+                setTimeout(() => {
+                    chai.expect(settled).to.equal(false);
+                    done();
+                }, 10);
+            });
+            it('2.3.2.2: fulfills with the same value when `x` fulfills', done => {
+                const d = deferred();
+                resolved(dummy).then(() => d.promise).then(value => {
+                    chai.expect(value).to.equal(sentinel);
+                    done();
+                });
+                setTimeout(() => d.resolve(sentinel), 5);
+            });
+            it('2.3.2.3: rejects with the same reason when `x` rejects', done => {
+                resolved(dummy).then(() => rejected(sentinel)).then(null, reason => {
+                    chai.expect(reason).to.equal(sentinel);
+                    done();
+                });
+            });
+        });
+
+        describe('2.3.3: if `x` is an object or function', () => {
+            function resolveWith(x) {
+                return resolved(dummy).then(() => x);
+            }
+
+            it('2.3.3.1: retrieves `x.then` exactly once', done => {
+                let numberOfTimesThenWasRetrieved = 0;
+                const x = Object.create(null, {
+                    then: {
+                        get() {
+                            numberOfTimesThenWasRetrieved++;
+                            return onFulfilled => onFulfilled();
+                        }
+                    }
+                });
+                resolveWith(x).then(() => {
+                    chai.expect(numberOfTimesThenWasRetrieved).to.equal(1);
+                    done();
+                });
+            });
+            it('2.3.3.2: rejects with `e` if retrieving `x.then` throws `e`', done => {
+                const x = Object.create(null, {
+                    then: {
+                        get() {
+                            throw sentinel;
+                        }
+                    }
+                });
+                resolveWith(x).then(null, reason => {
+                    chai.expect(reason).to.equal(sentinel);
+                    done();
+                });
+            });
+            it('2.3.3.3: calls `then` with `x` as `this`', done => {
+                const x = {
+                    then(onFulfilled) {
+                        chai.expect(this).to.equal(x);
+                        onFulfilled();
+                    }
+                };
+                resolveWith(x).then(() => done());
+            });
+            it('2.3.3.3: calls `then` of a function `x`', done => {
+                const x = function () {};
+                x.then = onFulfilled => onFulfilled(sentinel);
+                resolveWith(x).then(value => {
+                    chai.expect(value).to.equal(sentinel);
+                    done();
+                });
+            });
+
+            describe('2.3.3.3.1: when `resolvePromise` is called with `y`, run [[Resolve]](promise, y)', () => {
+                const ys = {
+                    'a non-thenable': () => sentinel,
+                    'a synchronously-fulfilling thenable': () => ({ then: onFulfilled => onFulfilled(sentinel) }),
+                    'an asynchronously-fulfilling thenable': () => ({
+                        then: onFulfilled => setTimeout(() => onFulfilled(sentinel), 0)
+                    }),
+                    'a fulfilled promise': () => resolved(sentinel),
+                    'an eventually-fulfilled promise': () => {
+                        const d = deferred();
+                        setTimeout(() => d.resolve(sentinel), 5);
+                        return d.promise;
+                    },
+                    'a thenable for a thenable': () => ({
+                        then: onFulfilled => onFulfilled({ then: inner => inner(sentinel) })
+                    })
+                };
+                Object.keys(ys).forEach(description => {
+                    it(`\`y\` is ${description}`, done => {
+                        resolveWith({ then: onFulfilled => onFulfilled(ys[description]()) }).then(value => {
+                            chai.expect(value).to.equal(sentinel);
+                            done();
+                        });
+                    });
+                });
+                it('`y` is a rejected promise', done => {
+                    resolveWith({ then: onFulfilled => onFulfilled(rejected(sentinel)) }).then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+                it('`y` is a thenable that throws', done => {
+                    const y = {
+                        then() {
+                            throw sentinel;
+                        }
+                    };
+                    resolveWith({ then: onFulfilled => onFulfilled(y) }).then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+            });
+
+            it('2.3.3.3.2: rejects with `r` when `rejectPromise` is called with `r`', done => {
+                resolveWith({ then: (onFulfilled, onRejected) => onRejected(sentinel) }).then(null, reason => {
+                    chai.expect(reason).to.equal(sentinel);
+                    done();
+                });
+            });
+
+            describe('2.3.3.3.3: the first call to `resolvePromise` or `rejectPromise` wins', () => {
+                it('`resolvePromise` then `rejectPromise`, synchronously', done => {
+                    resolveWith({
+                        then(onFulfilled, onRejected) {
+                            onFulfilled(sentinel);
+                            onRejected(other);
+                        }
+                    }).then(value => {
+                        chai.expect(value).to.equal(sentinel);
+                        done();
+                    });
+                });
+                it('`rejectPromise` then `resolvePromise`, asynchronously', done => {
+                    resolveWith({
+                        then(onFulfilled, onRejected) {
+                            setTimeout(() => {
+                                onRejected(sentinel);
+                                onFulfilled(other);
+                            }, 0);
+                        }
+                    }).then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+                it('`resolvePromise` with a thenable that never settles, then again', done => {
+                    let settled = false;
+                    resolveWith({
+                        then(onFulfilled) {
+                            onFulfilled({ then: noop });
+                            onFulfilled(sentinel);
+                        }
+                    }).then(() => {
+                        settled = true;
+                    });
+                    setTimeout(() => {
+                        chai.expect(settled).to.equal(false);
+                        done();
+                    }, 10);
+                });
+            });
+
+            describe('2.3.3.3.4: if calling `then` throws `e`', () => {
+                it('ignores it after `resolvePromise` was called', done => {
+                    resolveWith({
+                        then(onFulfilled) {
+                            onFulfilled(sentinel);
+                            throw other;
+                        }
+                    }).then(value => {
+                        chai.expect(value).to.equal(sentinel);
+                        done();
+                    });
+                });
+                it('ignores it after `rejectPromise` was called', done => {
+                    resolveWith({
+                        then(onFulfilled, onRejected) {
+                            onRejected(sentinel);
+                            throw other;
+                        }
+                    }).then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+                it('rejects with `e` otherwise', done => {
+                    resolveWith({
+                        then() {
+                            throw sentinel;
+                        }
+                    }).then(null, reason => {
+                        chai.expect(reason).to.equal(sentinel);
+                        done();
+                    });
+                });
+            });
+
+            describe('2.3.3.4: if `then` is not a function, fulfill with `x`', () => {
+                [5, {}, [function () {}], null, false].forEach(then => {
+                    it(`\`then\` is ${then}`, done => {
+                        const x = { then };
+                        resolveWith(x).then(value => {
+                            chai.expect(value).to.equal(x);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        describe('2.3.4: if `x` is not an object or function, fulfill with `x`', () => {
+            [undefined, null, false, true, 0, 5, 'foo'].forEach(x => {
+                it(`\`x\` is ${x}`, done => {
+                    resolved(dummy).then(() => x).then(value => {
+                        chai.expect(value).to.equal(x);
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('ES: constructor', () => {
+            it('calls the executor synchronously with two functions of length 1', done => {
+                let args = null;
+                new P((...a) => {
+                    args = a;
+                });
+                chai.expect(args[0]).to.be.a('function');
+                chai.expect(args[1]).to.be.a('function');
+                chai.expect(args[0].length).to.equal(1);
+                chai.expect(args[1].length).to.equal(1);
+                done();
+            });
+            it('throws a TypeError for a non-function executor', done => {
+                chai.expect(() => new P()).to.throw(TypeError);
+                chai.expect(() => new P({})).to.throw(TypeError);
+                done();
+            });
+            it('rejects if the executor throws', done => {
+                new P(() => {
+                    throw sentinel;
+                }).then(null, reason => {
+                    chai.expect(reason).to.equal(sentinel);
+                    done();
+                });
+            });
+        });
+
+        describe('ES: job ordering', () => {
+            it('runs handlers before timers', done => {
+                const log = [];
+                setTimeout(() => {
+                    log.push('timeout');
+                    chai.expect(log).to.deep.equal(['then', 'timeout']);
+                    done();
+                }, 0);
+                resolved(dummy).then(() => log.push('then'));
+            });
+            it('interleaves chains on separate promises one job at a time', done => {
+                const log = [];
+                const a = resolved('a');
+                const b = resolved('b');
+                a.then(() => log.push('a1')).then(() => log.push('a2'));
+                b.then(() => log.push('b1')).then(() => log.push('b2')).then(() => {
+                    chai.expect(log).to.deep.equal(['a1', 'b1', 'a2', 'b2']);
+                    done();
+                });
+            });
+            itIf('jobOrdering')('takes two extra jobs to adopt a promise', done => {
+                const log = [];
+                const p1 = resolved();
+                const p2 = new P(resolve => resolve(resolved()));
+                p2.then(() => log.push('p2'));
+                p1.then(() => log.push('a'))
+                    .then(() => log.push('b'))
+                    .then(() => log.push('c'))
+                    .then(() => {
+                        chai.expect(log).to.deep.equal(['a', 'b', 'p2', 'c']);
+                        done();
+                    });
+            });
+            itIf('jobOrdering')('takes one extra job to adopt a thenable', done => {
+                const log = [];
+                const thenable = { then: onFulfilled => onFulfilled() };
+                new P(resolve => resolve(thenable)).then(() => log.push('thenable'));
+                resolved().then(() => log.push('a'))
+                    .then(() => log.push('b'))
+                    .then(() => {
+                        chai.expect(log).to.deep.equal(['a', 'thenable', 'b']);
+                        done();
+                    });
+            });
+            itIf('jobOrdering')('interleaves with native promise jobs', done => {
+                const log = [];
+                resolved().then(() => log.push('p1')).then(() => log.push('p2'));
+                NativePromise.resolve().then(() => log.push('n1')).then(() => log.push('n2'));
+                resolved().then(() => log.push('p3'));
+                setTimeout(() => {
+                    chai.expect(log).to.deep.equal(['p1', 'n1', 'p3', 'p2', 'n2']);
+                    done();
+                }, 0);
+            });
+        });
+
+        describe('ES: statics', () => {
+            it('`resolve` returns promises of the same constructor as-is', done => {
+                const p = resolved(dummy);
+                chai.expect(P.resolve(p)).to.equal(p);
+                done();
+            });
+            it('`resolve` adopts foreign thenables', done => {
+                P.resolve({ then: onFulfilled => onFulfilled(sentinel) }).then(value => {
+                    chai.expect(value).to.equal(sentinel);
+                    done();
+                });
+            });
+            it('`reject` does not unwrap promises', done => {
+                const p = resolved(dummy);
+                silence(P.reject(p)).then(null, reason => {
+                    chai.expect(reason).to.equal(p);
+                    done();
+                });
+            });
+            it('`all` resolves with an empty array for empty input', done => {
+                P.all([]).then(values => {
+                    chai.expect(values).to.deep.equal([]);
+                    done();
+                });
+            });
+            it('`all` keeps input order and coerces values', done => {
+                const d = deferred();
+                P.all([d.promise, 2, resolved(3)]).then(values => {
+                    chai.expect(values).to.deep.equal([1, 2, 3]);
+                    done();
+                });
+                setTimeout(() => d.resolve(1), 5);
+            });
+            itIf('iterables')('`all` accepts any iterable', done => {
+                P.all(new Set([resolved(1), 2])).then(values => {
+                    chai.expect(values).to.deep.equal([1, 2]);
+                    done();
+                });
+            });
+            itIf('iterables')('`race` accepts any iterable', done => {
+                P.race(new Set([deferred().promise, resolved(1)])).then(value => {
+                    chai.expect(value).to.equal(1);
+                    done();
+                });
+            });
+            it('`race` stays pending for empty input', done => {
+                let settled = false;
+                P.race([]).then(() => {
+                    settled = true;
+                }, () => {
+                    settled = true;
+                });
+                setTimeout(() => {
+                    chai.expect(settled).to.equal(false);
+                    done();
+                }, 10);
+            });
+            it('`all` rejects with the first rejection', done => {
+                const d = deferred();
+                P.all([d.promise, rejected(sentinel)]).then(null, reason => {
+                    chai.expect(reason).to.equal(sentinel);
+                    d.reject(other);
+                    done();
+                });
+            });
+        });
+
+        describe('ES: subclassing', () => {
+            itIf('subclassing')('`then` returns an instance of the subclass', done => {
+                const SubPromise = subclass(P);
+                const p = new SubPromise(resolve => resolve(dummy));
+                chai.expect(p).to.be.an.instanceof(SubPromise);
+                chai.expect(p.then()).to.be.an.instanceof(SubPromise);
+                chai.expect(silence(p.catch(noop))).to.be.an.instanceof(SubPromise);
+                done();
+            });
+            itIf('subclassing')('statics return instances of the subclass', done => {
+                const SubPromise = subclass(P);
+                chai.expect(SubPromise.resolve(dummy)).to.be.an.instanceof(SubPromise);
+                chai.expect(silence(SubPromise.reject(dummy))).to.be.an.instanceof(SubPromise);
+                chai.expect(SubPromise.all([])).to.be.an.instanceof(SubPromise);
+                chai.expect(SubPromise.race([])).to.be.an.instanceof(SubPromise);
+                done();
+            });
+            itIf('subclassing')('`resolve` wraps instances of the parent class', done => {
+                const SubPromise = subclass(P);
+                const p = resolved(dummy);
+                chai.expect(SubPromise.resolve(p)).not.to.equal(p);
+                done();
+            });
+            itIf('species')('`then` respects `Symbol.species`', done => {
+                const SubPromise = subclass(P);
+                Object.defineProperty(SubPromise, Symbol.species, { value: P });
+                const p = new SubPromise(resolve => resolve(dummy)).then();
+                chai.expect(p).to.be.an.instanceof(P);
+                chai.expect(p).not.to.be.an.instanceof(SubPromise);
+                done();
+            });
+            itIf('subclassing')('statics reject non-constructor receivers with a TypeError', done => {
+                chai.expect(() => P.resolve.call(undefined, dummy)).to.throw(TypeError);
+                chai.expect(() => P.all.call({}, [])).to.throw(TypeError);
+                done();
+            });
+        });
+
+    });
+
+});
@@ -2,13 +2,17 @@
  * Compare against other Promise implementations:
  *  - Comment out both imports to use native Promise
  *  - Uncomment `es6-promise` to use 3rd party polyfill
- * Note test run times for each implementation. (es6-promise is comparable to
- * the native implementation.)
+ * For timings, run `npm run bench` instead; `test/conformance.spec.js` runs
+ * the spec-level cases against all three implementations.
  */
 import Promise from '../promise';
 // import { Promise } from 'es6-promise';
 ////////////////////////////////////////////////////////////////////////////////
 import * as chai from 'chai';
+import 'regenerator-runtime/runtime';
+import { Promise as ES6Promise } from 'es6-promise';
+
+const NativePromise = global.Promise;
 
 describe('Promise', () => {
 
@@ -42,6 +46,18 @@ describe('Promise', () => {
                 done(`unexpected reject: ${reason}`);
             });
         });
+        it('ignores reject while adopting the thenable passed to resolve', done => {
+            let p = new Promise((resolve, reject) => {
+                resolve(new Promise(res => setTimeout(() => res('foo'), 5)));
+                reject('bar');
+                resolve('baz');
+            });
+
+            p.then(v => {
+                chai.expect(v).to.equal('foo');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
         it('ignores reject if reject has already been called', done => {
             let p = new Promise((resolve, reject) => {
                 setTimeout(() => reject('foo'), 5);
@@ -189,6 +205,34 @@ describe('Promise', () => {
                 done();
             }, 15);
         });
+        it('settles the Promise derived from each handler as more are added', done => {
+            let resolve;
+            const p = new Promise(res => resolve = res);
+            const derived = [p.then(v => v + 'a')];
+            derived.push(p.then(v => v + 'b'));
+            derived.push(p.then(v => {
+                // Registered while the reactions run, so it runs after them.
+                derived.push(p.then(w => w + 'd'));
+                return v + 'c';
+            }));
+            resolve('x');
+            p.then(() => Promise.all(derived)).then(values => {
+                chai.expect(values).to.deep.equal(['xa', 'xb', 'xc', 'xd']);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('runs the handlers of many settled Promises in order, each with its own value', done => {
+            const log = [];
+            const expected = [];
+            for (let i = 0; i < 3000; i++) {
+                Promise.resolve(i).then(v => log.push(v));
+                expected.push(i);
+            }
+            setTimeout(() => {
+                chai.expect(log).to.deep.equal(expected);
+                done();
+            }, 0);
+        });
         it('does not handle error if no onRejected is passed', done => {
             new Promise((resolve, reject) => setTimeout(() => reject('foo'), 1))
                 .then(val => done(`unexpected resolve: ${val}`))
@@ -354,6 +398,369 @@ describe('Promise', () => {
         });
     });
 
+    describe('#finally', () => {
+        it('calls `callback` when Promise resolves', done => {
+            Promise.resolve('foo')
+                .finally(() => done())
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('calls `callback` when Promise rejects', done => {
+            Promise.reject('foo')
+                .finally(() => done())
+                .catch(() => {});
+        });
+        it('calls `callback` with no arguments', done => {
+            Promise.resolve('foo')
+                .finally((...args) => {
+                    chai.expect(args).to.deep.equal([]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('passes through the resolved value', done => {
+            Promise.resolve('foo')
+                .finally(() => 'bar')
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('passes through the rejection reason', done => {
+            Promise.reject('foo')
+                .finally(() => 'bar')
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('waits for a Promise returned by `callback`', done => {
+            let waited = false;
+            Promise.resolve('foo')
+                .finally(() => new Promise(resolve => setTimeout(() => {
+                    waited = true;
+                    resolve('bar');
+                }, 5)))
+                .then(v => {
+                    chai.expect(waited).to.equal(true);
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects with the error if `callback` throws', done => {
+            Promise.resolve('foo')
+                .finally(() => {
+                    throw 'bar';
+                })
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('bar');
+                    done();
+                });
+        });
+        it('rejects with the reason if `callback` returns a rejected Promise', done => {
+            Promise.reject('foo')
+                .finally(() => Promise.reject('bar'))
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('bar');
+                    done();
+                });
+        });
+        it('can be called with no arguments, resulting in a pass through', done => {
+            Promise.resolve('foo')
+                .finally()
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+
+    describe('#progress', () => {
+        it('reaches the end of a long pending chain', done => {
+            let notify;
+            let resolve;
+            const source = new Promise((res, rej, n) => {
+                resolve = res;
+                notify = n;
+            });
+            let tail = source;
+            for (let i = 0; i < 8000; i++) {
+                tail = tail.then(v => v);
+            }
+            const values = [];
+            tail.progress(v => values.push(v));
+            const all = Promise.all([source]);
+            let chain = all;
+            for (let i = 0; i < 8000; i++) {
+                chain = chain.then(v => v);
+            }
+            const reports = [];
+            chain.progress(report => reports.push(report.progress));
+            notify(1);
+            resolve('foo');
+            chain.then(() => {
+                chai.expect(values).to.deep.equal([1]);
+                chai.expect(reports).to.deep.equal([[1]]);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('calls `handler` with values passed to `notify`', done => {
+            const values = [];
+            new Promise((resolve, reject, notify) => {
+                setTimeout(() => notify(1), 1);
+                setTimeout(() => notify(2), 2);
+                setTimeout(() => resolve('foo'), 5);
+            })
+                .progress(v => values.push(v))
+                .then(v => {
+                    chai.expect(values).to.deep.equal([1, 2]);
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('defers `handler`', done => {
+            let value = 0;
+            let notifyProgress;
+            new Promise((resolve, reject, notify) => {
+                notifyProgress = notify;
+                setTimeout(resolve, 5);
+            }).progress(v => {
+                value = v;
+                done();
+            });
+            notifyProgress(1);
+            chai.expect(value).to.equal(0);
+        });
+        it('stops calling `handler` once the Promise settles', done => {
+            const values = [];
+            new Promise((resolve, reject, notify) => {
+                setTimeout(() => notify(1), 1);
+                setTimeout(() => {
+                    resolve();
+                    notify(2);
+                }, 2);
+            }).progress(v => values.push(v));
+            setTimeout(() => {
+                chai.expect(values).to.deep.equal([1]);
+                done();
+            }, 10);
+        });
+        it('returns the same Promise', done => {
+            const p = Promise.resolve();
+            chai.expect(p.progress(() => {})).to.equal(p);
+            done();
+        });
+        it('propagates through `then` chains', done => {
+            const values = [];
+            new Promise((resolve, reject, notify) => {
+                setTimeout(() => notify(1), 1);
+                setTimeout(resolve, 5);
+            })
+                .then()
+                .catch()
+                .progress(v => values.push(v))
+                .then(() => {
+                    chai.expect(values).to.deep.equal([1]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('propagates from Promises returned by handlers', done => {
+            const values = [];
+            Promise.resolve()
+                .then(() => new Promise((resolve, reject, notify) => {
+                    setTimeout(() => notify(1), 1);
+                    setTimeout(resolve, 5);
+                }))
+                .progress(v => values.push(v))
+                .then(() => {
+                    chai.expect(values).to.deep.equal([1]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('reports aggregate progress from `Promise.all`', done => {
+            const reports = [];
+            const P = [
+                new Promise((resolve, reject, notify) => {
+                    setTimeout(() => notify(0.5), 1);
+                    setTimeout(() => resolve('foo'), 5);
+                }),
+                new Promise(resolve => setTimeout(() => resolve('bar'), 10))
+            ];
+            Promise.all(P)
+                .progress(report => reports.push(report))
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal(['foo', 'bar']);
+                    chai.expect(reports).to.deep.equal([
+                        { completed: 0, total: 2, progress: [0.5, undefined] },
+                        { completed: 1, total: 2, progress: [0.5, undefined] }
+                    ]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('passes aggregate progress from `Promise.all` on to derived Promises', done => {
+            const reports = [];
+            const P = [
+                new Promise(resolve => setTimeout(() => resolve('foo'), 1)),
+                new Promise(resolve => setTimeout(() => resolve('bar'), 5))
+            ];
+            const all = Promise.all(P);
+            all.then(vals => vals.length);
+            all.then(vals => vals.join(''))
+                .progress(report => reports.push(report.completed))
+                .then(v => {
+                    chai.expect(v).to.equal('foobar');
+                    chai.expect(reports).to.deep.equal([1]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('#delay', () => {
+        it('resolves with the same value after `ms` milliseconds', done => {
+            const start = Date.now();
+            Promise.resolve('foo')
+                .delay(10)
+                .then(v => {
+                    chai.expect(Date.now() - start).to.be.at.least(9);
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('passes through rejections without delay', done => {
+            let delayed = false;
+            setTimeout(() => delayed = true, 5);
+            Promise.reject('foo')
+                .delay(20)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(delayed).to.equal(false);
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+    });
+
+    describe('#timeout', () => {
+        it('resolves with the value if the Promise resolves in time', done => {
+            new Promise(resolve => setTimeout(() => resolve('foo'), 1))
+                .timeout(20)
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects with the reason if the Promise rejects in time', done => {
+            new Promise((resolve, reject) => setTimeout(() => reject('foo'), 1))
+                .timeout(20)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('rejects with a TimeoutError if the Promise takes too long', done => {
+            new Promise(resolve => setTimeout(resolve, 20))
+                .timeout(1)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.TimeoutError);
+                    chai.expect(reason).to.be.an.instanceof(Error);
+                    chai.expect(reason.name).to.equal('TimeoutError');
+                    done();
+                });
+        });
+        it('uses a string argument as the TimeoutError message', done => {
+            new Promise(resolve => setTimeout(resolve, 20))
+                .timeout(1, 'too slow')
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.TimeoutError);
+                    chai.expect(reason.message).to.equal('too slow');
+                    done();
+                });
+        });
+        it('rejects with an Error argument as-is', done => {
+            const error = new Error('too slow');
+            new Promise(resolve => setTimeout(resolve, 20))
+                .timeout(1, error)
+                .catch(reason => {
+                    chai.expect(reason).to.equal(error);
+                    done();
+                });
+        });
+        it('clears its timer once the Promise settles', done => {
+            const realClearTimeout = global.clearTimeout;
+            let cleared = false;
+            global.clearTimeout = timer => {
+                cleared = true;
+                realClearTimeout(timer);
+            };
+            Promise.resolve('foo').timeout(1000).then(() => {
+                global.clearTimeout = realClearTimeout;
+                chai.expect(cleared).to.equal(true);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('inspection', () => {
+        it('reports a pending Promise', done => {
+            const p = new Promise(resolve => setTimeout(resolve, 5));
+            chai.expect(p.isPending()).to.equal(true);
+            chai.expect(p.isFulfilled()).to.equal(false);
+            chai.expect(p.isRejected()).to.equal(false);
+            chai.expect(() => p.value()).to.throw(TypeError);
+            chai.expect(() => p.reason()).to.throw(TypeError);
+            chai.expect(Promise.inspect(p)).to.deep.equal({ state: 'pending' });
+            done();
+        });
+        it('reports a resolved Promise synchronously', done => {
+            const p = new Promise(resolve => resolve('foo'));
+            chai.expect(p.isPending()).to.equal(false);
+            chai.expect(p.isFulfilled()).to.equal(true);
+            chai.expect(p.isRejected()).to.equal(false);
+            chai.expect(p.value()).to.equal('foo');
+            chai.expect(() => p.reason()).to.throw(TypeError);
+            chai.expect(Promise.inspect(p)).to.deep.equal({ state: 'fulfilled', value: 'foo' });
+            done();
+        });
+        it('reports a rejected Promise synchronously', done => {
+            const p = Promise.reject('foo');
+            p.catch(() => {});
+            chai.expect(p.isPending()).to.equal(false);
+            chai.expect(p.isFulfilled()).to.equal(false);
+            chai.expect(p.isRejected()).to.equal(true);
+            chai.expect(p.reason()).to.equal('foo');
+            chai.expect(() => p.value()).to.throw(TypeError);
+            chai.expect(Promise.inspect(p)).to.deep.equal({ state: 'rejected', reason: 'foo' });
+            done();
+        });
+        it('reports a Promise following a pending thenable as pending', done => {
+            const p = new Promise(resolve => resolve(new Promise(res => setTimeout(() => res('foo'), 5))));
+            chai.expect(p.isPending()).to.equal(true);
+            p.then(() => {
+                chai.expect(p.value()).to.equal('foo');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('throws when inspecting something other than a Promise', done => {
+            chai.expect(() => Promise.inspect({ then() {} })).to.throw(TypeError);
+            done();
+        });
+    });
+
     describe('.resolve', () => {
         it('constructs a Promise in the resolved state', done => {
             Promise.resolve()
@@ -415,271 +822,2358 @@ describe('Promise', () => {
         });
     });
 
-    describe('.all', () => {
-        it('resolves after all promises have resolved', done => {
-            let count = 0;
-            let P = [1, 2, 3].map(v => new Promise((resolve, reject) => {
-                setTimeout(() => resolve(v), v);
-            }).then(() => count++));
-            Promise
-                .all(P)
-                .then(() => {
-                    chai.expect(count).to.equal(3);
+    describe('.delay', () => {
+        it('resolves with `value` after `ms` milliseconds', done => {
+            const start = Date.now();
+            Promise.delay(10, 'foo')
+                .then(v => {
+                    chai.expect(Date.now() - start).to.be.at.least(9);
+                    chai.expect(v).to.equal('foo');
                     done();
                 })
                 .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('resolves with an array of values in the same order as input', done => {
-            let P = [6, 4, 2].map(v => new Promise((resolve, reject) => {
-                setTimeout(() => resolve(v * 10), v);
-            }));
-            Promise
-                .all(P)
-                .then(vals => {
-                    chai.expect(vals).to.deep.equal([60, 40, 20]);
+        it('waits for a Promise `value` before delaying', done => {
+            Promise.delay(1, new Promise(resolve => setTimeout(() => resolve('foo'), 5)))
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
                     done();
                 })
                 .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('coerces non-Promise inputs to resolved Promises', done => {
-            let P = [
-                4,
-                Promise.resolve(5),
-                'foo'
-            ];
-            Promise
-                .all(P)
-                .then(vals => {
-                    chai.expect(vals).to.deep.equal([4, 5, 'foo'])
+    });
+
+    describe('.retry', () => {
+        it('resolves with the value of the first successful attempt', done => {
+            const attempts = [];
+            Promise.retry(attempt => {
+                attempts.push(attempt);
+                return attempt < 3 ? Promise.reject(`fail ${attempt}`) : `ok ${attempt}`;
+            }, { minDelay: 1 })
+                .then(v => {
+                    chai.expect(attempts).to.deep.equal([1, 2, 3]);
+                    chai.expect(v).to.equal('ok 3');
                     done();
                 })
                 .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('rejects if any promise rejects', done => {
-            let P = [
-                new Promise((resolve, reject) => setTimeout(reject, 5)),
-                'baz'
-            ];
-            Promise
-                .all(P)
-                .then(v => done(`unexpected resolve: ${v}`))
-                .catch(() => done());
+        it('retries when `fn` throws', done => {
+            let count = 0;
+            Promise.retry(() => {
+                if (++count < 2) {
+                    throw 'foo';
+                }
+                return 'bar';
+            }, { minDelay: 1 })
+                .then(v => {
+                    chai.expect(v).to.equal('bar');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('rejects with the same reason as the rejected promise', done => {
-            Promise.all([Promise.reject('foo')])
-                .then(v => done(`unexpected reject: ${v}`))
+        it('rejects with a RetryError holding every failure once retries run out', done => {
+            let count = 0;
+            Promise.retry(() => Promise.reject(count++), { retries: 2, minDelay: 1 })
+                .then(v => done(`unexpected resolve: ${v}`))
                 .catch(reason => {
-                    chai.expect(reason).to.equal('foo');
+                    chai.expect(reason).to.be.an.instanceof(Promise.RetryError);
+                    chai.expect(reason.errors).to.deep.equal([0, 1, 2]);
                     done();
                 });
         });
-        it('ignores subsequent rejected promises after one rejects', done => {
-            let catchCount = 0;
-            let P = [
-                new Promise((resolve, reject) => setTimeout(() => {
-                    catchCount++;
-                    reject('foo');
-                }, 10)),
-                new Promise((resolve, reject) => setTimeout(() => {
-                    catchCount++;
-                    reject('bar');
-                }, 5))
-            ];
-            Promise
-                .all(P)
-                .then(v => done(`unexpected resolve: ${v}`))
-                .catch(reason => {
-                    setTimeout(() => {
-                        chai.expect(catchCount).to.equal(2);
-                        chai.expect(reason).to.equal('bar');
-                        done();
-                    }, 15);
+        it('backs off exponentially, up to `maxDelay`', done => {
+            const times = [];
+            Promise.retry(() => {
+                times.push(Date.now());
+                return Promise.reject();
+            }, { retries: 3, minDelay: 5, factor: 3, maxDelay: 20 })
+                .catch(() => {
+                    const waits = times.slice(1).map((t, i) => t - times[i]);
+                    chai.expect(waits[0]).to.be.at.least(4);
+                    chai.expect(waits[1]).to.be.at.least(14);
+                    chai.expect(waits[2]).to.be.at.least(19).and.below(40);
+                    done();
                 });
         });
-        it('ignores subsequent resolved promises after one rejects', done => {
-            let resolveCalled = false;
-            let P = [
-                new Promise(resolve => setTimeout(() => {
-                    resolveCalled = true;
-                    resolve('foo');
-                }, 10)),
-                new Promise((resolve, reject) => setTimeout(() => reject('bar'), 5)),
-                'baz'
-            ];
-            Promise
-                .all(P)
+        it('rejects at once if `shouldRetry` returns false', done => {
+            let count = 0;
+            Promise.retry(() => {
+                count++;
+                return Promise.reject('fatal');
+            }, { minDelay: 1, shouldRetry: reason => reason !== 'fatal' })
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(count).to.equal(1);
+                    chai.expect(reason).to.equal('fatal');
+                    done();
+                });
+        });
+        it('stops retrying when the signal aborts', done => {
+            const controller = new AbortController();
+            let count = 0;
+            Promise.retry(() => {
+                count++;
+                return Promise.reject();
+            }, { minDelay: 5, signal: controller.signal })
                 .then(v => done(`unexpected resolve: ${v}`))
                 .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
                     setTimeout(() => {
-                        chai.expect(resolveCalled).to.equal(true);
-                        chai.expect(reason).to.equal('bar');
+                        chai.expect(count).to.equal(1);
                         done();
-                    }, 15);
+                    }, 20);
+                });
+            setTimeout(() => controller.abort(), 1);
+        });
+        it('works when called on another Promise constructor, signal included', done => {
+            const controller = new AbortController();
+            let count = 0;
+            const succeeding = Promise.retry.call(NativePromise, attempt => {
+                return attempt < 2 ? Promise.reject('foo') : 'bar';
+            }, { minDelay: 1 });
+            const aborted = Promise.retry.call(NativePromise, () => {
+                count++;
+                return Promise.reject();
+            }, { minDelay: 5, signal: controller.signal });
+            chai.expect(succeeding).to.be.an.instanceof(NativePromise);
+            setTimeout(() => controller.abort(), 1);
+            NativePromise.all([succeeding, aborted.catch(reason => reason)]).then(([value, reason]) => {
+                chai.expect(value).to.equal('bar');
+                chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                chai.expect(count).to.equal(1);
+                done();
+            }).catch(done);
+        });
+        it('watches the signal of a subclass that does not pass it on', done => {
+            class Sub extends Promise {
+                constructor(executor) {
+                    super(executor);
+                }
+            }
+            const controller = new AbortController();
+            let count = 0;
+            Sub.retry(() => {
+                count++;
+                return Promise.reject();
+            }, { minDelay: 5, retries: 5, signal: controller.signal })
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    setTimeout(() => {
+                        chai.expect(count).to.equal(1);
+                        done();
+                    }, 20);
                 });
+            setTimeout(() => controller.abort(), 1);
+        });
+        it('stops watching the signal once it settles', done => {
+            const listeners = [];
+            const signal = {
+                aborted: false,
+                addEventListener: (type, listener) => listeners.push(listener),
+                removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1)
+            };
+            const p = Promise.retry.call(NativePromise, attempt => {
+                return attempt < 2 ? Promise.reject('foo') : 'bar';
+            }, { minDelay: 1, signal });
+            chai.expect(listeners).to.have.length(1);
+            p.then(value => {
+                chai.expect(value).to.equal('bar');
+                chai.expect(listeners).to.deep.equal([]);
+                done();
+            }).catch(done);
         });
     });
 
-    describe('.race', () => {
-        it('resolves if an input Promise resolves first', done => {
-            let P = [
-                new Promise(resolve => setTimeout(resolve, 5))
-            ];
-            Promise
-                .race(P)
-                .then(() => done())
+    describe('.map', () => {
+        it('resolves with mapped values in the same order as input', done => {
+            Promise.map([6, 4, 2], v => new Promise(resolve => {
+                setTimeout(() => resolve(v * 10), v);
+            }))
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([60, 40, 20]);
+                    done();
+                })
                 .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('resolves with value of first resolved Promise', done => {
-            let P = [
-                new Promise(resolve => setTimeout(() => resolve('foo', 5))),
-                Promise.resolve('bar')
-            ];
-            Promise
-                .race(P)
-                .then(v => {
-                    chai.expect(v).to.equal('bar');
+        it('coerces inputs and passes the index to `mapper`', done => {
+            Promise.map(new Set([Promise.resolve('a'), 'b']), (v, i) => v + i)
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal(['a0', 'b1']);
                     done();
                 })
                 .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('rejects as soon as one input Promise rejects', done => {
-            let P = [
-                new Promise(resolve => setTimeout(resolve, 5)),
-                Promise.reject()
-            ];
-            Promise
-                .race(P)
-                .then(v => done(`unexpected resolve: ${v}`))
-                .catch(reason => done());
+        it('runs at most `concurrency` mappers at once', done => {
+            let active = 0;
+            let maxActive = 0;
+            Promise.map([1, 2, 3, 4, 5, 6], v => {
+                maxActive = Math.max(maxActive, ++active);
+                return Promise.delay(2, v).then(() => active--);
+            }, { concurrency: 2 })
+                .then(() => {
+                    chai.expect(maxActive).to.equal(2);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('rejects with reason of first rejected Promise', done => {
-            let P = [
-                new Promise(resolve => setTimeout(resolve, 5)),
-                Promise.reject('foo')
-            ];
-            Promise
-                .race(P)
+        it('rejects with the first rejection and stops starting mappers', done => {
+            const started = [];
+            Promise.map([1, 2, 3, 4], v => {
+                started.push(v);
+                return v === 2 ? Promise.reject('foo') : Promise.delay(5, v);
+            }, { concurrency: 2 })
                 .then(v => done(`unexpected resolve: ${v}`))
                 .catch(reason => {
                     chai.expect(reason).to.equal('foo');
-                    done();
+                    setTimeout(() => {
+                        chai.expect(started).to.deep.equal([1, 2]);
+                        done();
+                    }, 15);
                 });
         });
-        it('ignores subsequent rejections after one rejects', done => {
-            let count = 0;
-            let P = [
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    reject('foo')
-                }, 5)),
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    reject('bar')
-                }, 10))
-            ]
-            let prom = Promise.race(P);
-
-            prom.then(v => done(`unexpected resolve ${v}`))
+        it('handles rejected inputs that are still waiting for their turn', done => {
+            const reported = [];
+            const remove = Promise.onUnhandledRejection(reason => reported.push(reason));
+            const inputs = [Promise.delay(10, 'slow'), Promise.reject('foo'), Promise.reject('bar')];
+            Promise.map(inputs, v => v, { concurrency: 1 })
+                .then(v => done(`unexpected resolve: ${v}`))
                 .catch(reason => {
-                    chai.expect(count).to.equal(1);
                     chai.expect(reason).to.equal('foo');
+                    setTimeout(() => {
+                        remove();
+                        chai.expect(reported).to.deep.equal([]);
+                        done();
+                    }, 5);
                 });
+        });
+        it('rejects with a RangeError if `concurrency` is not at least 1', done => {
+            let calls = 0;
+            const results = [-1, 0, NaN].map(concurrency => {
+                return Promise.map([1, 2], () => calls++, { concurrency }).catch(reason => reason);
+            });
+            Promise.all(results).then(reasons => {
+                reasons.forEach(reason => chai.expect(reason).to.be.an.instanceof(RangeError));
+                chai.expect(calls).to.equal(0);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
 
-            setTimeout(() => {
-                prom.then(v => done(`unexpected resolve ${v}`))
-                    .catch(reason => {
-                        chai.expect(count).to.equal(2);
-                        chai.expect(reason).to.equal('foo');
-                        done();
-                    });
-            }, 15);
+    describe('.mapSeries', () => {
+        it('calls `mapper` for one value at a time, in order', done => {
+            const log = [];
+            Promise.mapSeries([3, 1, 2], v => {
+                log.push(`start ${v}`);
+                return Promise.delay(v, v).then(() => {
+                    log.push(`end ${v}`);
+                    return v * 2;
+                });
+            })
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([6, 2, 4]);
+                    chai.expect(log).to.deep.equal([
+                        'start 3', 'end 3', 'start 1', 'end 1', 'start 2', 'end 2'
+                    ]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('ignores subsequent resolves after one rejects', done => {
-            let count = 0;
-            let P = [
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    reject('foo')
-                }, 5)),
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    resolve('bar')
-                }, 10))
-            ];
+    });
 
-            let prom = Promise.race(P);
+    describe('.pool', () => {
+        it('runs at most `limit` tasks at once and reports counts', done => {
+            const pool = Promise.pool(2);
+            const results = [1, 2, 3].map(v => pool.run(() => Promise.delay(5, v)));
+            chai.expect(pool.active).to.equal(2);
+            chai.expect(pool.pending).to.equal(1);
+            Promise.all(results)
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([1, 2, 3]);
+                    chai.expect(pool.active).to.equal(0);
+                    chai.expect(pool.pending).to.equal(0);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('frees the slot of a task that fails', done => {
+            const pool = Promise.pool(1);
+            pool.run(() => {
+                throw 'foo';
+            }).catch(reason => chai.expect(reason).to.equal('foo'));
+            pool.run(() => 'bar')
+                .then(v => {
+                    chai.expect(v).to.equal('bar');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects queued tasks when cleared', done => {
+            const pool = Promise.pool(1);
+            pool.run(() => Promise.delay(5));
+            const queued = pool.run(() => 'foo');
+            pool.clear();
+            chai.expect(pool.pending).to.equal(0);
+            queued
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    done();
+                });
+        });
+        it('throws for a limit below 1', done => {
+            chai.expect(() => Promise.pool(0)).to.throw(RangeError);
+            done();
+        });
+    });
 
-            prom.then(v => done(`unexpected resolve ${v}`))
+    describe('.props', () => {
+        it('resolves with an object of resolved values', done => {
+            Promise.props({
+                a: new Promise(resolve => setTimeout(() => resolve('foo'), 5)),
+                b: Promise.resolve('bar'),
+                c: 'baz'
+            })
+                .then(result => {
+                    chai.expect(result).to.deep.equal({ a: 'foo', b: 'bar', c: 'baz' });
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects if any value rejects', done => {
+            Promise.props({ a: 'foo', b: Promise.reject('bar') })
+                .then(v => done(`unexpected resolve: ${v}`))
                 .catch(reason => {
-                    chai.expect(count).to.equal(1);
-                    chai.expect(reason).to.equal('foo');
+                    chai.expect(reason).to.equal('bar');
+                    done();
                 });
+        });
+    });
 
-            setTimeout(() => {
-                prom
-                    .then(v => done(`unexpected resolve: ${v}`))
-                    .catch(reason => {
-                        chai.expect(count).to.equal(2);
-                        chai.expect(reason).to.equal('foo');
+    describe('.reduce', () => {
+        it('waits on each step in order', done => {
+            Promise.reduce([
+                new Promise(resolve => setTimeout(() => resolve('a'), 10)),
+                'b',
+                Promise.resolve('c')
+            ], (acc, v, i) => Promise.delay(1, acc + v + i), '')
+                .then(result => {
+                    chai.expect(result).to.equal('a0b1c2');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('uses the first value if `initial` is not passed', done => {
+            Promise.reduce([1, 2, 3], (acc, v) => acc + v)
+                .then(result => {
+                    chai.expect(result).to.equal(6);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('waits for a Promise `initial`', done => {
+            Promise.reduce([1], (acc, v) => acc + v, Promise.resolve(1))
+                .then(result => {
+                    chai.expect(result).to.equal(2);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects for empty input with no `initial`', done => {
+            Promise.reduce([], (acc, v) => acc + v)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(TypeError);
+                    done();
+                });
+        });
+        it('handles rejected inputs before their step is reached', done => {
+            const reported = [];
+            const remove = Promise.onUnhandledRejection(reason => reported.push(reason));
+            Promise.reduce([Promise.delay(10, 'a'), Promise.reject('foo')], (acc, v) => acc + v, '')
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    setTimeout(() => {
+                        remove();
+                        chai.expect(reported).to.deep.equal([]);
                         done();
-                    });
-            }, 15);
+                    }, 5);
+                });
         });
-        it('ignores subsequent rejections after one resolves', done => {
-            let count = 0;
-            let P = [
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    resolve('foo')
-                }, 5)),
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    reject('bar')
-                }, 10))
+    });
+
+    describe('non-iterable input', () => {
+        it('rejects from `map`, `props` and `reduce`, like `all`', done => {
+            const calls = [
+                () => Promise.all(null),
+                () => Promise.map(null, v => v),
+                () => Promise.props(null),
+                () => Promise.reduce(null, (acc, v) => acc + v, 0)
             ];
+            Promise.allSettled(calls.map(call => call())).then(results => {
+                results.forEach(result => {
+                    chai.expect(result.status).to.equal('rejected');
+                    chai.expect(result.reason).to.be.an.instanceof(TypeError);
+                });
+                done();
+            }).catch(done);
+        });
+    });
 
-            let p = Promise.race(P);
+    describe('.filter', () => {
+        it('resolves with values passing `predicate`, in input order', done => {
+            Promise.filter([Promise.resolve(1), 2, 3, 4], v => Promise.delay(5 - v, v % 2 === 0))
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([2, 4]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('runs at most `concurrency` predicates at once', done => {
+            let active = 0;
+            let maxActive = 0;
+            Promise.filter([1, 2, 3, 4], v => {
+                maxActive = Math.max(maxActive, ++active);
+                return Promise.delay(2).then(() => {
+                    active--;
+                    return true;
+                });
+            }, { concurrency: 3 })
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([1, 2, 3, 4]);
+                    chai.expect(maxActive).to.equal(3);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
 
-            p.then(v => {
-                chai.expect(v).to.equal('foo');
-                chai.expect(count).to.equal(1);
-            }).catch(reason => done(`unexpected reject: ${reason}`));
+    describe('.each', () => {
+        it('iterates in order and resolves with the input values', done => {
+            const log = [];
+            Promise.each([Promise.delay(5, 'a'), 'b'], (v, i) => Promise.delay(1).then(() => log.push(v + i)))
+                .then(vals => {
+                    chai.expect(log).to.deep.equal(['a0', 'b1']);
+                    chai.expect(vals).to.deep.equal(['a', 'b']);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
 
-            setTimeout(() => {
-                p.then(v => {
-                    chai.expect(v).to.equal('foo');
-                    chai.expect(count).to.equal(2);
+    describe('.some', () => {
+        it('resolves with the first `count` values to resolve', done => {
+            Promise.some([
+                Promise.delay(10, 'a'),
+                Promise.delay(1, 'b'),
+                Promise.reject('c'),
+                Promise.delay(5, 'd')
+            ], 2)
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal(['b', 'd']);
                     done();
-                }).catch(r => done(`unexpected reject: ${r}`));
-            }, 15);
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
         });
-        it('ignores subsequent resolves after one resolves', done => {
-            let count = 0;
-            let P = [
-                new Promise((resolve, reject) => setTimeout(() => {
-                    count++;
-                    resolve('foo')
+        it('rejects with an AggregateError once `count` cannot be reached', done => {
+            Promise.some([
+                Promise.delay(10, 'a'),
+                Promise.reject('b'),
+                new Promise((resolve, reject) => setTimeout(() => reject('c'), 1))
+            ], 2)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason.name).to.equal('AggregateError');
+                    chai.expect(reason.errors).to.deep.equal(['b', 'c']);
+                    done();
+                });
+        });
+        it('rejects if `count` is more than the number of inputs', done => {
+            Promise.some(['a'], 2)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason.errors).to.deep.equal([]);
+                    done();
+                });
+        });
+    });
+
+    describe('.withResolvers', () => {
+        it('returns a Promise and the functions that settle it', done => {
+            const { promise, resolve, reject } = Promise.withResolvers();
+            chai.expect(promise).to.be.an.instanceof(Promise);
+            chai.expect(promise.isPending()).to.equal(true);
+            setTimeout(() => resolve('foo'), 1);
+            setTimeout(() => reject('bar'), 2);
+            promise
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('.Deferred', () => {
+        it('settles its promise from outside of an executor', done => {
+            const deferred = new Promise.Deferred();
+            deferred.promise
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+            deferred.reject('foo');
+        });
+        it('reports `state` and `settled` consistently with inspection', done => {
+            const deferred = new Promise.Deferred();
+            const thenable = new Promise.Deferred();
+            chai.expect(deferred.state).to.equal('pending');
+            chai.expect(deferred.settled).to.equal(false);
+            deferred.resolve(thenable.promise);
+            chai.expect(deferred.state).to.equal('pending');
+            chai.expect(deferred.settled).to.equal(false);
+            thenable.resolve('foo');
+            chai.expect(thenable.state).to.equal('fulfilled');
+            chai.expect(thenable.settled).to.equal(true);
+            deferred.promise
+                .then(() => {
+                    chai.expect(deferred.state).to.equal(Promise.inspect(deferred.promise).state);
+                    chai.expect(deferred.state).to.equal('fulfilled');
+                    chai.expect(deferred.settled).to.equal(true);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('reports progress through `notify`', done => {
+            const deferred = new Promise.Deferred();
+            deferred.promise.progress(v => {
+                chai.expect(v).to.equal(0.5);
+                done();
+            });
+            deferred.notify(0.5);
+        });
+    });
+
+    describe('.all', () => {
+        it('works when called on another Promise constructor', done => {
+            const p = Promise.all.call(NativePromise, [1, Promise.resolve(2)]);
+            chai.expect(p).to.be.an.instanceof(NativePromise);
+            p.then(values => {
+                chai.expect(values).to.deep.equal([1, 2]);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('resolves after all promises have resolved', done => {
+            let count = 0;
+            let P = [1, 2, 3].map(v => new Promise((resolve, reject) => {
+                setTimeout(() => resolve(v), v);
+            }).then(() => count++));
+            Promise
+                .all(P)
+                .then(() => {
+                    chai.expect(count).to.equal(3);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('resolves with an array of values in the same order as input', done => {
+            let P = [6, 4, 2].map(v => new Promise((resolve, reject) => {
+                setTimeout(() => resolve(v * 10), v);
+            }));
+            Promise
+                .all(P)
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([60, 40, 20]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('coerces non-Promise inputs to resolved Promises', done => {
+            let P = [
+                4,
+                Promise.resolve(5),
+                'foo'
+            ];
+            Promise
+                .all(P)
+                .then(vals => {
+                    chai.expect(vals).to.deep.equal([4, 5, 'foo'])
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects if any promise rejects', done => {
+            let P = [
+                new Promise((resolve, reject) => setTimeout(reject, 5)),
+                'baz'
+            ];
+            Promise
+                .all(P)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(() => done());
+        });
+        it('rejects with the same reason as the rejected promise', done => {
+            Promise.all([Promise.reject('foo')])
+                .then(v => done(`unexpected reject: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('ignores subsequent rejected promises after one rejects', done => {
+            let catchCount = 0;
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => {
+                    catchCount++;
+                    reject('foo');
+                }, 10)),
+                new Promise((resolve, reject) => setTimeout(() => {
+                    catchCount++;
+                    reject('bar');
+                }, 5))
+            ];
+            Promise
+                .all(P)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    setTimeout(() => {
+                        chai.expect(catchCount).to.equal(2);
+                        chai.expect(reason).to.equal('bar');
+                        done();
+                    }, 15);
+                });
+        });
+        it('ignores subsequent resolved promises after one rejects', done => {
+            let resolveCalled = false;
+            let P = [
+                new Promise(resolve => setTimeout(() => {
+                    resolveCalled = true;
+                    resolve('foo');
+                }, 10)),
+                new Promise((resolve, reject) => setTimeout(() => reject('bar'), 5)),
+                'baz'
+            ];
+            Promise
+                .all(P)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    setTimeout(() => {
+                        chai.expect(resolveCalled).to.equal(true);
+                        chai.expect(reason).to.equal('bar');
+                        done();
+                    }, 15);
+                });
+        });
+    });
+
+    describe('.race', () => {
+        it('resolves if an input Promise resolves first', done => {
+            let P = [
+                new Promise(resolve => setTimeout(resolve, 5))
+            ];
+            Promise
+                .race(P)
+                .then(() => done())
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('resolves with value of first resolved Promise', done => {
+            let P = [
+                new Promise(resolve => setTimeout(() => resolve('foo', 5))),
+                Promise.resolve('bar')
+            ];
+            Promise
+                .race(P)
+                .then(v => {
+                    chai.expect(v).to.equal('bar');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects as soon as one input Promise rejects', done => {
+            let P = [
+                new Promise(resolve => setTimeout(resolve, 5)),
+                Promise.reject()
+            ];
+            Promise
+                .race(P)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => done());
+        });
+        it('rejects with reason of first rejected Promise', done => {
+            let P = [
+                new Promise(resolve => setTimeout(resolve, 5)),
+                Promise.reject('foo')
+            ];
+            Promise
+                .race(P)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('ignores subsequent rejections after one rejects', done => {
+            let count = 0;
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    reject('foo')
                 }, 5)),
                 new Promise((resolve, reject) => setTimeout(() => {
                     count++;
-                    resolve('bar')
+                    reject('bar')
                 }, 10))
             ]
-            let p = Promise.race(P);
+            let prom = Promise.race(P);
 
-            p.then(v => {
-                chai.expect(v).to.equal('foo');
-                chai.expect(count).to.equal(1);
-            }).catch(reason => done(`unexpected reject: ${reason}`));
+            prom.then(v => done(`unexpected resolve ${v}`))
+                .catch(reason => {
+                    chai.expect(count).to.equal(1);
+                    chai.expect(reason).to.equal('foo');
+                });
 
             setTimeout(() => {
-                p.then(v2 => {
-                    chai.expect(v2).to.equal('foo');
-                    chai.expect(count).to.equal(2);
-                    done();
-                }).catch(reason => done(`unexpected reject: ${reason}`))
+                prom.then(v => done(`unexpected resolve ${v}`))
+                    .catch(reason => {
+                        chai.expect(count).to.equal(2);
+                        chai.expect(reason).to.equal('foo');
+                        done();
+                    });
+            }, 15);
+        });
+        it('ignores subsequent resolves after one rejects', done => {
+            let count = 0;
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    reject('foo')
+                }, 5)),
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    resolve('bar')
+                }, 10))
+            ];
+
+            let prom = Promise.race(P);
+
+            prom.then(v => done(`unexpected resolve ${v}`))
+                .catch(reason => {
+                    chai.expect(count).to.equal(1);
+                    chai.expect(reason).to.equal('foo');
+                });
+
+            setTimeout(() => {
+                prom
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(count).to.equal(2);
+                        chai.expect(reason).to.equal('foo');
+                        done();
+                    });
             }, 15);
         });
+        it('ignores subsequent rejections after one resolves', done => {
+            let count = 0;
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    resolve('foo')
+                }, 5)),
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    reject('bar')
+                }, 10))
+            ];
+
+            let p = Promise.race(P);
+
+            p.then(v => {
+                chai.expect(v).to.equal('foo');
+                chai.expect(count).to.equal(1);
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+
+            setTimeout(() => {
+                p.then(v => {
+                    chai.expect(v).to.equal('foo');
+                    chai.expect(count).to.equal(2);
+                    done();
+                }).catch(r => done(`unexpected reject: ${r}`));
+            }, 15);
+        });
+        it('ignores subsequent resolves after one resolves', done => {
+            let count = 0;
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    resolve('foo')
+                }, 5)),
+                new Promise((resolve, reject) => setTimeout(() => {
+                    count++;
+                    resolve('bar')
+                }, 10))
+            ]
+            let p = Promise.race(P);
+
+            p.then(v => {
+                chai.expect(v).to.equal('foo');
+                chai.expect(count).to.equal(1);
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+
+            setTimeout(() => {
+                p.then(v2 => {
+                    chai.expect(v2).to.equal('foo');
+                    chai.expect(count).to.equal(2);
+                    done();
+                }).catch(reason => done(`unexpected reject: ${reason}`))
+            }, 15);
+        });
+    });
+
+    describe('.allSettled', () => {
+        it('resolves after all promises have settled', done => {
+            let count = 0;
+            let P = [1, 2, 3].map(v => new Promise((resolve, reject) => {
+                setTimeout(() => (v % 2 ? resolve : reject)(v), v);
+            }).then(() => count++, () => count++));
+            Promise
+                .allSettled(P)
+                .then(() => {
+                    chai.expect(count).to.equal(3);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('resolves with settlement records in the same order as input', done => {
+            let P = [
+                new Promise(resolve => setTimeout(() => resolve('foo'), 10)),
+                new Promise((resolve, reject) => setTimeout(() => reject('bar'), 5)),
+                'baz'
+            ];
+            Promise
+                .allSettled(P)
+                .then(results => {
+                    chai.expect(results).to.deep.equal([
+                        { status: 'fulfilled', value: 'foo' },
+                        { status: 'rejected', reason: 'bar' },
+                        { status: 'fulfilled', value: 'baz' }
+                    ]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('resolves with an empty array for empty input', done => {
+            Promise
+                .allSettled([])
+                .then(results => {
+                    chai.expect(results).to.deep.equal([]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('accepts any iterable', done => {
+            Promise
+                .allSettled(new Set([Promise.resolve('foo'), 'bar']))
+                .then(results => {
+                    chai.expect(results).to.deep.equal([
+                        { status: 'fulfilled', value: 'foo' },
+                        { status: 'fulfilled', value: 'bar' }
+                    ]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('.any', () => {
+        it('resolves with value of first resolved Promise', done => {
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => reject('foo'), 1)),
+                new Promise(resolve => setTimeout(() => resolve('bar'), 10)),
+                new Promise(resolve => setTimeout(() => resolve('baz'), 5))
+            ];
+            Promise
+                .any(P)
+                .then(v => {
+                    chai.expect(v).to.equal('baz');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('coerces non-Promise inputs to resolved Promises', done => {
+            Promise
+                .any([Promise.reject('foo'), 'bar'])
+                .then(v => {
+                    chai.expect(v).to.equal('bar');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects with an AggregateError of reasons in input order if all reject', done => {
+            let P = [
+                new Promise((resolve, reject) => setTimeout(() => reject('foo'), 10)),
+                Promise.reject('bar')
+            ];
+            Promise
+                .any(P)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Error);
+                    chai.expect(reason.name).to.equal('AggregateError');
+                    chai.expect(reason.errors).to.deep.equal(['foo', 'bar']);
+                    done();
+                });
+        });
+        it('rejects with an empty AggregateError for empty input', done => {
+            Promise
+                .any([])
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason.errors).to.deep.equal([]);
+                    done();
+                });
+        });
+        it('accepts any iterable', done => {
+            Promise
+                .any(new Set([Promise.reject('foo'), Promise.resolve('bar')]))
+                .then(v => {
+                    chai.expect(v).to.equal('bar');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('resolution procedure', () => {
+        it('adopts the state of a native Promise', done => {
+            Promise.resolve(NativePromise.resolve('foo'))
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('adopts the state of an es6-promise', done => {
+            new Promise(resolve => resolve(ES6Promise.reject('foo')))
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('adopts thenables returned from `then` handlers', done => {
+            Promise.resolve()
+                .then(() => ({ then: resolve => setTimeout(() => resolve('foo'), 5) }))
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('adopts functions with a `then` method', done => {
+            const thenable = () => {};
+            thenable.then = resolve => resolve('foo');
+            Promise.resolve(thenable)
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('fulfills with objects whose `then` is not a function', done => {
+            const val = { then: 'foo' };
+            Promise.resolve(val)
+                .then(v => {
+                    chai.expect(v).to.equal(val);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects if retrieving `then` throws', done => {
+            const thenable = Object.defineProperty({}, 'then', {
+                get() {
+                    throw 'foo';
+                }
+            });
+            Promise.resolve(thenable)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('retrieves `then` only once', done => {
+            let count = 0;
+            const thenable = Object.defineProperty({}, 'then', {
+                get() {
+                    count++;
+                    return resolve => resolve('foo');
+                }
+            });
+            Promise.resolve(thenable)
+                .then(() => {
+                    chai.expect(count).to.equal(1);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('ignores repeated calls from a thenable', done => {
+            const thenable = {
+                then(resolve, reject) {
+                    resolve('foo');
+                    reject('bar');
+                    resolve('baz');
+                }
+            };
+            Promise.resolve(thenable)
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('ignores a throw from `then` after the thenable has resolved', done => {
+            const thenable = {
+                then(resolve) {
+                    resolve('foo');
+                    throw 'bar';
+                }
+            };
+            Promise.resolve(thenable)
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects with a TypeError when resolved with itself', done => {
+            const p = Promise.resolve().then(() => p);
+            p.then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(TypeError);
+                    done();
+                });
+        });
+    });
+
+    describe('long chains', () => {
+        afterEach(() => Promise.setScheduler());
+
+        // Collect garbage before every sample, so only what the loop keeps
+        // alive counts. Needs node's `--expose-gc`, which `npm test` passes.
+        const runLoop = (test, steps, limit, done) => {
+            if (typeof global.gc !== 'function') {
+                test.skip();
+            }
+            global.gc();
+            const start = process.memoryUsage().heapUsed;
+            let retained = 0;
+            const loop = n => {
+                if (n % 100000 === 0) {
+                    global.gc();
+                    retained = Math.max(retained, process.memoryUsage().heapUsed - start);
+                }
+                return Promise.resolve().then(() => n === 0 ? 'foo' : loop(n - 1));
+            };
+            loop(steps)
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    chai.expect(retained).to.be.below(limit);
+                    done();
+                })
+                .catch(reason => done(reason instanceof Error ? reason : `unexpected reject: ${reason}`));
+        };
+
+        it('runs a million-step recursive loop in constant memory', function (done) {
+            this.timeout(30000);
+            // Keeping every step alive takes well over 100MB.
+            runLoop(this, 1000000, 8 * 1024 * 1024, done);
+        });
+        it('runs a recursive loop in constant memory with a custom scheduler', function (done) {
+            this.timeout(30000);
+            Promise.setScheduler(flush => setImmediate(flush));
+            // Keeping the queue's spent slots alive takes over 30MB here.
+            runLoop(this, 1000000, 8 * 1024 * 1024, done);
+        });
+        it('passes rejections out of a recursive loop', done => {
+            const loop = n => Promise.resolve().then(() => {
+                if (n === 0) {
+                    throw 'foo';
+                }
+                return loop(n - 1);
+            });
+            loop(1000)
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                });
+        });
+        it('settles every step of a collapsed chain', done => {
+            const steps = [];
+            const loop = n => {
+                const p = Promise.delay(1).then(() => {
+                    if (n > 0) {
+                        return loop(n - 1);
+                    }
+                    steps.forEach(step => chai.expect(step.isPending()).to.equal(true));
+                    return 'foo';
+                });
+                steps.push(p);
+                return p;
+            };
+            const outer = loop(5);
+            outer.then(() => {});
+            outer
+                .then(() => {
+                    steps.forEach(p => chai.expect(p.value()).to.equal('foo'));
+                    chai.expect(Promise.inspect(steps[1])).to.deep.equal({ state: 'fulfilled', value: 'foo' });
+                    return steps[3].then(v => {
+                        chai.expect(v).to.equal('foo');
+                        done();
+                    });
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('runs handlers added to a collapsed step', done => {
+            let inner;
+            const middle = Promise.resolve().then(() => {
+                inner = Promise.delay(5, 'foo');
+                return inner;
+            });
+            const outer = Promise.resolve().then(() => middle);
+            outer.then(() => {});
+            setTimeout(() => {
+                middle.then(v => {
+                    chai.expect(v).to.equal('foo');
+                    done();
+                }).catch(reason => done(`unexpected reject: ${reason}`));
+            }, 1);
+        });
+        it('passes progress through a collapsed chain', done => {
+            let notify;
+            const inner = new Promise((resolve, reject, n) => {
+                notify = n;
+                setTimeout(() => resolve('foo'), 5);
+            });
+            const reports = [];
+            const outer = Promise.resolve().then(() => Promise.resolve().then(() => inner));
+            outer.progress(value => reports.push(value));
+            outer
+                .then(v => {
+                    chai.expect(v).to.equal('foo');
+                    chai.expect(reports).to.deep.equal([0.5]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+            setTimeout(() => notify(0.5), 1);
+        });
+        it('rejects Promises that adopt each other with a TypeError', done => {
+            let resolveA;
+            let resolveB;
+            const a = new Promise(resolve => {
+                resolveA = resolve;
+            });
+            const b = new Promise(resolve => {
+                resolveB = resolve;
+            });
+            a.then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(TypeError);
+                    done();
+                });
+            resolveA(b);
+            resolveB(a);
+        });
+    });
+
+    describe('.setScheduler', () => {
+        afterEach(() => Promise.setScheduler());
+
+        it('runs handlers before macrotasks by default', done => {
+            const log = [];
+            setTimeout(() => {
+                log.push('timeout');
+                chai.expect(log).to.deep.equal(['then', 'timeout']);
+                done();
+            }, 0);
+            Promise.resolve().then(() => log.push('then'));
+        });
+        it('runs handlers in the order they were registered', done => {
+            const log = [];
+            const a = Promise.resolve('a');
+            const b = Promise.resolve('b');
+            b.then(v => log.push(v));
+            a.then(v => log.push(v));
+            b.then(v => log.push(v + '2'))
+                .then(() => {
+                    chai.expect(log).to.deep.equal(['b', 'a', 'b2']);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('interleaves handlers with native Promise jobs by default', done => {
+            const log = [];
+            Promise.resolve().then(() => log.push('p1')).then(() => log.push('p2'));
+            NativePromise.resolve().then(() => log.push('n1')).then(() => log.push('n2'));
+            setTimeout(() => {
+                chai.expect(log).to.deep.equal(['p1', 'n1', 'p2', 'n2']);
+                done();
+            }, 0);
+        });
+        it('runs many queued jobs in order, each with its own value', done => {
+            Promise.setScheduler(flush => setImmediate(flush));
+            const log = [];
+            const expected = [];
+            for (let i = 0; i < 3000; i++) {
+                Promise.resolve(i).then(v => log.push(v));
+                expected.push(i);
+            }
+            Promise.resolve().then(() => {
+                chai.expect(log).to.deep.equal(expected);
+                done();
+            }).catch(done);
+        });
+        it('asks a custom scheduler for one flush per batch of jobs', done => {
+            let calls = 0;
+            Promise.setScheduler(flush => {
+                calls++;
+                setTimeout(flush, 0);
+            });
+            Promise.resolve().then(() => 'a');
+            Promise.resolve()
+                .then(() => 'b')
+                .then(() => {
+                    chai.expect(calls).to.equal(1);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('lets the queue be driven manually', done => {
+            let flush = null;
+            Promise.setScheduler(fn => {
+                flush = fn;
+            });
+            const log = [];
+            Promise.resolve('foo')
+                .then(v => log.push(v))
+                .then(() => log.push('bar'));
+            chai.expect(log).to.deep.equal([]);
+            chai.expect(flush).to.be.a('function');
+            flush();
+            chai.expect(log).to.deep.equal(['foo', 'bar']);
+            done();
+        });
+        it('hands queued jobs over when the scheduler changes', done => {
+            const log = [];
+            Promise.setScheduler(() => {});
+            Promise.resolve(1).then(v => log.push(v));
+            Promise.setScheduler();
+            Promise.setScheduler(() => {});
+            Promise.resolve(2).then(v => log.push(v));
+            Promise.setScheduler(flush => setTimeout(flush, 0));
+            Promise.resolve(3).then(v => log.push(v))
+                .then(() => {
+                    chai.expect(log).to.deep.equal([1, 2, 3]);
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('returns the previous scheduler', done => {
+            const custom = fn => setTimeout(fn, 0);
+            const previous = Promise.setScheduler(custom);
+            chai.expect(previous).to.be.a('function');
+            chai.expect(Promise.setScheduler(previous)).to.equal(custom);
+            done();
+        });
+        it('throws if given something other than a function', done => {
+            chai.expect(() => Promise.setScheduler('foo')).to.throw(TypeError);
+            done();
+        });
+    });
+
+    describe('.onUnhandledRejection', () => {
+        let removeListeners = [];
+        afterEach(() => {
+            removeListeners.forEach(remove => remove());
+            removeListeners = [];
+        });
+
+        it('reports a rejection with no handler by the end of the turn', done => {
+            let p;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                }
+            }));
+            p = Promise.reject('foo');
+        });
+        it('does not report a rejection that is handled in time', done => {
+            let p;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    done(`unexpected report: ${reason}`);
+                }
+            }));
+            p = Promise.reject('foo');
+            Promise.resolve()
+                .then(() => p.catch(() => {}))
+                .then(() => setTimeout(done, 5));
+        });
+        it('does not report a rejection handled by a native Promise job', done => {
+            let p;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    done(`unexpected report: ${reason}`);
+                }
+            }));
+            p = Promise.reject('foo');
+            NativePromise.resolve()
+                .then(() => NativePromise.resolve())
+                .then(() => p.catch(() => {}));
+            setTimeout(() => setTimeout(done, 0), 0);
+        });
+        it('reports before timers set after the rejection', done => {
+            let p;
+            let reported = false;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    reported = true;
+                }
+            }));
+            p = Promise.reject('foo');
+            setTimeout(() => {
+                chai.expect(reported).to.equal(true);
+                p.catch(() => {});
+                done();
+            }, 0);
+        });
+        it('reports once a custom scheduler\'s flush has emptied the queue', done => {
+            let flush = null;
+            let p;
+            let reported = false;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    reported = true;
+                }
+            }));
+            Promise.setScheduler(fn => {
+                flush = fn;
+            });
+            try {
+                p = Promise.reject('foo');
+                chai.expect(reported).to.equal(false);
+                flush();
+                chai.expect(reported).to.equal(true);
+            } finally {
+                Promise.setScheduler();
+            }
+            p.catch(() => {});
+            done();
+        });
+        it('reports derived Promises that are not handled', done => {
+            let p;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                }
+            }));
+            p = Promise.reject('foo').then(() => 'bar');
+        });
+        it('emits `rejectionHandled` when a handler is attached late', done => {
+            let p;
+            removeListeners.push(Promise.onUnhandledRejection((reason, promise) => {
+                if (promise === p) {
+                    setTimeout(() => p.catch(() => {}), 5);
+                }
+            }));
+            removeListeners.push(Promise.onRejectionHandled(promise => {
+                if (promise === p) {
+                    done();
+                }
+            }));
+            p = Promise.reject('foo');
+        });
+        it('forwards events to `process.emit`', done => {
+            let p;
+            const listener = (reason, promise) => {
+                if (promise === p) {
+                    process.removeListener('unhandledRejection', listener);
+                    chai.expect(reason).to.equal('foo');
+                    done();
+                }
+            };
+            process.on('unhandledRejection', listener);
+            p = Promise.reject('foo');
+        });
+        it('stops calling a listener once it is removed', done => {
+            let count = 0;
+            const remove = Promise.onUnhandledRejection(() => count++);
+            remove();
+            Promise.reject('foo');
+            setTimeout(() => {
+                chai.expect(count).to.equal(0);
+                done();
+            }, 5);
+        });
+    });
+
+    describe('cancellation', () => {
+        it('rejects with an AbortError when the signal aborts', done => {
+            const controller = new AbortController();
+            new Promise(resolve => setTimeout(resolve, 10), { signal: controller.signal })
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    chai.expect(reason).to.be.an.instanceof(Error);
+                    chai.expect(reason.name).to.equal('AbortError');
+                    done();
+                });
+            controller.abort();
+        });
+        it('calls `onCancel` handlers when the signal aborts', done => {
+            const controller = new AbortController();
+            let resolved = false;
+            new Promise((resolve, reject, notify, onCancel) => {
+                const timer = setTimeout(() => {
+                    resolved = true;
+                    resolve();
+                }, 5);
+                onCancel(() => clearTimeout(timer));
+            }, { signal: controller.signal }).catch(() => {});
+            controller.abort();
+            setTimeout(() => {
+                chai.expect(resolved).to.equal(false);
+                done();
+            }, 10);
+        });
+        it('does not call `onCancel` handlers once settled', done => {
+            const controller = new AbortController();
+            let cancelled = false;
+            const p = new Promise((resolve, reject, notify, onCancel) => {
+                onCancel(() => cancelled = true);
+                resolve('foo');
+            }, { signal: controller.signal });
+            controller.abort();
+            p.then(v => {
+                chai.expect(cancelled).to.equal(false);
+                chai.expect(v).to.equal('foo');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('does not call the executor if the signal has already aborted', done => {
+            const controller = new AbortController();
+            controller.abort();
+            let called = false;
+            new Promise(() => called = true, { signal: controller.signal })
+                .catch(reason => {
+                    chai.expect(called).to.equal(false);
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    done();
+                });
+        });
+        it('rejects even if resolved with a pending thenable', done => {
+            const controller = new AbortController();
+            new Promise(resolve => {
+                resolve(new Promise(res => setTimeout(res, 10)));
+            }, { signal: controller.signal })
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    done();
+                });
+            setTimeout(() => controller.abort(), 1);
+        });
+        it('propagates down derived chains', done => {
+            const controller = new AbortController();
+            const p = new Promise(resolve => resolve('foo'), { signal: controller.signal })
+                .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+                .then(() => 'bar');
+            setTimeout(() => controller.abort(), 1);
+            p.then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    done();
+                });
+        });
+        it('lets handlers downstream recover from an abort', done => {
+            const controller = new AbortController();
+            new Promise(resolve => setTimeout(resolve, 10), { signal: controller.signal })
+                .then(() => 'foo')
+                .catch(() => 'recovered')
+                .then(v => {
+                    chai.expect(v).to.equal('recovered');
+                    done();
+                })
+                .catch(reason => done(`unexpected reject: ${reason}`));
+            controller.abort();
+        });
+        it('accepts a signal in `then`', done => {
+            const controller = new AbortController();
+            new Promise(resolve => setTimeout(resolve, 5))
+                .then(() => 'foo', null, { signal: controller.signal })
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                    done();
+                });
+            controller.abort();
+        });
+        it('does not call the handlers of a `then` whose signal aborted', done => {
+            const controller = new AbortController();
+            const source = Promise.delay(5, 'foo');
+            const calls = [];
+            const p = source.then(v => calls.push(v), reason => calls.push(reason), { signal: controller.signal });
+            controller.abort();
+            p.then(v => done(`unexpected resolve: ${v}`)).catch(reason => {
+                chai.expect(reason).to.be.an.instanceof(Promise.AbortError);
+                return source;
+            }).then(() => setTimeout(() => {
+                chai.expect(calls).to.deep.equal([]);
+                done();
+            }, 0));
+        });
+    });
+
+    describe('.config', () => {
+        afterEach(() => Promise.config({ longStackTraces: false }));
+
+        it('returns the current configuration', done => {
+            chai.expect(Promise.config()).to.deep.equal({ longStackTraces: false });
+            chai.expect(Promise.config({ longStackTraces: true })).to.deep.equal({ longStackTraces: true });
+            done();
+        });
+        it('appends the asynchronous chain to rejection stacks with `longStackTraces`', done => {
+            Promise.config({ longStackTraces: true });
+            function createdHere() {
+                return Promise.delay(1);
+            }
+            function chainedHere(p) {
+                return p.then(() => {
+                    throw new Error('processing error');
+                });
+            }
+            chainedHere(createdHere())
+                .then(v => done(`unexpected resolve: ${v}`))
+                .catch(reason => {
+                    chai.expect(reason.stack).to.contain('processing error');
+                    chai.expect(reason.stack).to.contain('From previous event:');
+                    chai.expect(reason.stack).to.contain('chainedHere');
+                    chai.expect(reason.stack).to.contain('createdHere');
+                    done();
+                });
+        });
+        it('only extends a stack once', done => {
+            Promise.config({ longStackTraces: true });
+            const error = new Error('foo');
+            const p = Promise.reject(error).then().then();
+            p.catch(reason => {
+                chai.expect(reason.stack.split('From previous event:').length).to.equal(2);
+                done();
+            });
+        });
+        it('leaves stacks alone when off', done => {
+            const error = new Error('foo');
+            const stack = error.stack;
+            Promise.reject(error).then().catch(reason => {
+                chai.expect(reason.stack).to.equal(stack);
+                done();
+            });
+        });
+    });
+
+    describe('.hooks', () => {
+        let stop;
+        afterEach(() => stop && stop());
+
+        it('reports construction, settling and handling with ids and parent ids', done => {
+            const events = [];
+            stop = Promise.hooks({
+                init: e => events.push(e),
+                settle: e => events.push(e),
+                handled: e => events.push(e)
+            });
+            const p = new Promise(resolve => resolve('foo'));
+            const q = p.then(v => `${v}bar`);
+            q.then(() => {
+                stop();
+                const of = promise => events.filter(e => e.promise === promise).map(e => e.type);
+                chai.expect(of(p)).to.deep.equal(['init', 'settle', 'handled']);
+                chai.expect(of(q)).to.deep.equal(['init', 'handled', 'settle']);
+                const pInit = events.find(e => e.promise === p);
+                const qInit = events.find(e => e.promise === q);
+                chai.expect(pInit.id).to.be.a('number');
+                chai.expect(pInit.parentId).to.equal(null);
+                chai.expect(qInit.id).not.to.equal(pInit.id);
+                chai.expect(qInit.parentId).to.equal(pInit.id);
+                chai.expect(qInit.timestamp).to.be.at.least(pInit.timestamp);
+                const qSettle = events.find(e => e.promise === q && e.type === 'settle');
+                chai.expect(qSettle.state).to.equal('fulfilled');
+                chai.expect(qSettle.value).to.equal('foobar');
+                chai.expect(qSettle.parentId).to.equal(pInit.id);
+                done();
+            }).catch(done);
+        });
+        it('reports `before` and `after` around a handler, for the Promise it settles', done => {
+            const calls = [];
+            stop = Promise.hooks({
+                before: e => calls.push(`before #${e.id}`),
+                after: e => calls.push(`after #${e.id}`)
+            });
+            const q = Promise.resolve('foo').then(() => {
+                calls.push('handler');
+                throw new Error('oops');
+            });
+            q.catch(() => {
+                stop();
+                const id = calls[0].slice('before #'.length);
+                chai.expect(calls.slice(0, 3)).to.deep.equal([`before #${id}`, 'handler', `after #${id}`]);
+                done();
+            }).catch(done);
+        });
+        it('stops reporting once removed', done => {
+            let count = 0;
+            stop = Promise.hooks({ init: () => count++ });
+            Promise.resolve();
+            stop();
+            Promise.resolve();
+            chai.expect(count).to.equal(1);
+            done();
+        });
+        it('removes the hooks it registered, even if their object changed', done => {
+            const calls = [];
+            const b = { init: () => calls.push('b') };
+            const stopB = Promise.hooks(b);
+            stop = Promise.hooks({ init: () => calls.push('c') });
+            b.init = () => calls.push('changed');
+            stopB();
+            Promise.resolve();
+            stop();
+            chai.expect(calls).to.deep.equal(['c']);
+            done();
+        });
+        it('does not report Promises created by hooks', done => {
+            let count = 0;
+            stop = Promise.hooks({
+                init: () => {
+                    count++;
+                    Promise.resolve();
+                }
+            });
+            Promise.resolve();
+            stop();
+            chai.expect(count).to.equal(1);
+            done();
+        });
+        it('rejects anything but functions', done => {
+            chai.expect(() => Promise.hooks()).to.throw(TypeError);
+            chai.expect(() => Promise.hooks({ init: 'foo' })).to.throw(TypeError);
+            done();
+        });
+        it('settles every step of a recursive loop', done => {
+            const settled = [];
+            stop = Promise.hooks({ settle: e => settled.push(e.promise) });
+            const steps = [];
+            const loop = n => {
+                const step = n === 0 ? Promise.resolve('done') : Promise.resolve(n - 1).then(loop);
+                steps.push(step);
+                return step;
+            };
+            loop(3).then(() => {
+                stop();
+                steps.forEach(step => chai.expect(settled).to.include(step));
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('.Recorder', () => {
+        it('dumps the graph of recorded Promises as JSON and DOT', done => {
+            const recorder = new Promise.Recorder().start();
+            const failing = Promise.reject(new Error('network error'));
+            const processed = failing.then(v => v);
+            const recovered = processed.catch(() => 'recovered');
+            recovered.then(() => {
+                recorder.stop();
+                const { promises } = JSON.parse(JSON.stringify(recorder));
+                const [a, b, c] = promises;
+                chai.expect(a).to.include({ parentId: null, state: 'rejected', reason: 'network error', handled: true });
+                chai.expect(b).to.include({ parentId: a.id, state: 'rejected', reason: 'network error' });
+                chai.expect(c).to.include({ parentId: b.id, state: 'fulfilled', reason: null });
+                chai.expect(c.handlerStart).to.be.a('number');
+                chai.expect(c.handlerEnd).to.be.at.least(c.handlerStart);
+
+                const dot = recorder.toDot();
+                chai.expect(dot).to.match(/^digraph promises \{/);
+                chai.expect(dot).to.contain(`p${a.id} [label="#${a.id} rejected\\nnetwork error"`);
+                chai.expect(dot).to.contain(`p${a.id} -> p${b.id};`);
+                chai.expect(dot).to.contain(`p${b.id} -> p${c.id};`);
+                done();
+            }).catch(done);
+        });
+        it('records nothing once stopped, and forgets everything when cleared', done => {
+            const recorder = new Promise.Recorder().start().stop();
+            Promise.resolve();
+            chai.expect(recorder.toJSON().promises).to.deep.equal([]);
+            recorder.start();
+            Promise.resolve();
+            recorder.stop();
+            chai.expect(recorder.toJSON().promises).to.have.length(1);
+            chai.expect(recorder.clear().toJSON().promises).to.deep.equal([]);
+            done();
+        });
+    });
+
+    describe('.createContext', () => {
+        it('makes a value available for the duration of `run`', done => {
+            const context = Promise.createContext();
+            chai.expect(context.get()).to.equal(undefined);
+            const result = context.run('foo', (a, b) => `${context.get()}${a}${b}`, 'bar', 'baz');
+            chai.expect(result).to.equal('foobarbaz');
+            chai.expect(context.get()).to.equal(undefined);
+            chai.expect(() => context.run('foo', () => {
+                throw new Error('oops');
+            })).to.throw('oops');
+            chai.expect(context.get()).to.equal(undefined);
+            done();
+        });
+        it('restores the value in every handler down a chain', done => {
+            const context = Promise.createContext();
+            const seen = [];
+            context.run('request 1', () => Promise.delay(5)
+                .then(() => {
+                    seen.push(context.get());
+                    throw new Error('oops');
+                })
+                .catch(() => seen.push(context.get()))
+                .finally(() => seen.push(context.get()))
+                .then(() => Promise.delay(5).then(() => seen.push(context.get())))
+                .then(() => {
+                    seen.push(context.get());
+                    chai.expect(seen).to.deep.equal(['request 1', 'request 1', 'request 1', 'request 1', 'request 1']);
+                    done();
+                })
+                .catch(done));
+            chai.expect(context.get()).to.equal(undefined);
+        });
+        it('keeps concurrent runs apart', done => {
+            const context = Promise.createContext();
+            const deferred = new Promise.Deferred();
+            const first = context.run(1, () => deferred.promise.then(() => context.get()));
+            const second = context.run(2, () => deferred.promise.then(() => context.get()));
+            const outside = deferred.promise.then(() => context.get());
+            deferred.resolve();
+            Promise.all([first, second, outside]).then(values => {
+                chai.expect(values).to.deep.equal([1, 2, undefined]);
+                done();
+            }).catch(done);
+        });
+        it('carries values through `Promise.all`, `Promise.race` and the executor', done => {
+            const context = Promise.createContext();
+            context.run('foo', () => {
+                const inExecutor = new Promise(resolve => resolve(context.get()));
+                return Promise.all([
+                    Promise.all([Promise.delay(1), inExecutor]).then(values => [context.get(), ...values.slice(1)]),
+                    Promise.race([Promise.delay(1), Promise.delay(5)]).then(() => context.get())
+                ]);
+            }).then(values => {
+                chai.expect(values).to.deep.equal([['foo', 'foo'], 'foo']);
+                done();
+            }).catch(done);
+        });
+        it('calls the `then` of an adopted thenable in the resolving context', done => {
+            const context = Promise.createContext();
+            const seen = [];
+            const thenable = {
+                then(resolve) {
+                    seen.push(context.get());
+                    resolve('foo');
+                }
+            };
+            const adopted = [
+                context.run('resolve', () => Promise.resolve(thenable)),
+                context.run('executor', () => new Promise(resolve => resolve(thenable))),
+                context.run('handler', () => Promise.resolve().then(() => thenable))
+            ];
+            Promise.all(adopted).then(values => {
+                chai.expect(values).to.deep.equal(['foo', 'foo', 'foo']);
+                chai.expect(seen).to.deep.equal(['resolve', 'executor', 'handler']);
+                done();
+            }).catch(done);
+        });
+        it('nests contexts, and restores them in progress handlers', done => {
+            const user = Promise.createContext();
+            const request = Promise.createContext();
+            const deferred = new Promise.Deferred();
+            let progress;
+            user.run('alice', () => request.run('r1', () => {
+                deferred.promise.progress(() => {
+                    progress = [user.get(), request.get()];
+                });
+            }));
+            deferred.notify(1);
+            setTimeout(() => {
+                chai.expect(progress).to.deep.equal(['alice', 'r1']);
+                done();
+            }, 5);
+        });
+    });
+
+    describe('callback interop', () => {
+        function getJSON(url, callback) {
+            setTimeout(() => {
+                if (url === '/error') {
+                    callback(new Error('network error'));
+                } else {
+                    callback(null, { url }, 200);
+                }
+            }, 1);
+        }
+
+        describe('.promisify', () => {
+            it('resolves with the callback value', done => {
+                Promise.promisify(getJSON)('/bar')
+                    .then(v => {
+                        chai.expect(v).to.deep.equal({ url: '/bar' });
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('rejects with the callback error', done => {
+                Promise.promisify(getJSON)('/error')
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason.message).to.equal('network error');
+                        done();
+                    });
+            });
+            it('rejects if the function throws', done => {
+                Promise.promisify(() => {
+                    throw 'foo';
+                })()
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason).to.equal('foo');
+                        done();
+                    });
+            });
+            it('resolves with every callback value with `multiArgs`', done => {
+                Promise.promisify(getJSON, { multiArgs: true })('/bar')
+                    .then(v => {
+                        chai.expect(v).to.deep.equal([{ url: '/bar' }, 200]);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('calls the function with `context` or the caller `this`', done => {
+                function getName(callback) {
+                    callback(null, this.name);
+                }
+                const foo = { name: 'foo', getName: Promise.promisify(getName) };
+                Promise.all([
+                    foo.getName(),
+                    Promise.promisify(getName, { context: { name: 'bar' } })()
+                ])
+                    .then(vals => {
+                        chai.expect(vals).to.deep.equal(['foo', 'bar']);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+        });
+
+        describe('.promisifyAll', () => {
+            it('adds suffixed promisified methods, including inherited ones', done => {
+                class Base {
+                    getBase(callback) {
+                        callback(null, this.value);
+                    }
+                }
+                class Foo extends Base {
+                    constructor() {
+                        super();
+                        this.value = 'foo';
+                    }
+                }
+                const api = Promise.promisifyAll({ getJSON }, { suffix: 'P' });
+                const foo = Promise.promisifyAll(new Foo());
+                chai.expect(api.getJSONP).to.be.a('function');
+                Promise.all([api.getJSONP('/bar'), foo.getBaseAsync()])
+                    .then(vals => {
+                        chai.expect(vals).to.deep.equal([{ url: '/bar' }, 'foo']);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('does not overwrite existing methods', done => {
+                const existing = () => {};
+                const api = Promise.promisifyAll({ getJSON, getJSONAsync: existing });
+                chai.expect(api.getJSONAsync).to.equal(existing);
+                chai.expect(api.getJSONAsyncAsync).to.equal(undefined);
+                done();
+            });
+        });
+
+        describe('.fromCallback', () => {
+            it('settles with the callback outcome', done => {
+                Promise.fromCallback(callback => getJSON('/bar', callback))
+                    .then(v => {
+                        chai.expect(v).to.deep.equal({ url: '/bar' });
+                        return Promise.fromCallback(callback => getJSON('/error', callback));
+                    })
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason.message).to.equal('network error');
+                        done();
+                    });
+            });
+        });
+
+        describe('#asCallback', () => {
+            it('calls back with the resolved value', done => {
+                Promise.resolve('foo').asCallback((err, value) => {
+                    chai.expect(err).to.equal(null);
+                    chai.expect(value).to.equal('foo');
+                    done();
+                });
+            });
+            it('calls back with the rejection reason', done => {
+                Promise.reject('foo').asCallback(err => {
+                    chai.expect(err).to.equal('foo');
+                    done();
+                });
+            });
+            it('wraps falsy rejection reasons in an Error', done => {
+                Promise.reject(0).asCallback(err => {
+                    chai.expect(err).to.be.an.instanceof(Error);
+                    chai.expect(err.cause).to.equal(0);
+                    done();
+                });
+            });
+            it('returns the same Promise', done => {
+                const p = Promise.resolve();
+                chai.expect(p.asCallback(() => {})).to.equal(p);
+                done();
+            });
+        });
+    });
+
+    describe('async iteration', () => {
+        function asyncIterableOf(values, ms) {
+            const iterable = {
+                closed: false,
+                [Symbol.asyncIterator]() {
+                    let i = 0;
+                    return {
+                        next: () => Promise.delay(ms).then(() => {
+                            if (i < values.length) {
+                                return { value: values[i++], done: false };
+                            }
+                            return { value: undefined, done: true };
+                        }),
+                        return: () => {
+                            iterable.closed = true;
+                            return Promise.resolve({ value: undefined, done: true });
+                        }
+                    };
+                }
+            };
+            return iterable;
+        }
+
+        function collect(iterator, results = []) {
+            return iterator.next().then(({ value, done }) => {
+                if (done) {
+                    return results;
+                }
+                results.push(value);
+                return collect(iterator, results);
+            });
+        }
+
+        describe('.fromAsyncIterable', () => {
+            it('collects the values of an async iterable', done => {
+                Promise.fromAsyncIterable(asyncIterableOf(['a', Promise.resolve('b'), 'c'], 1))
+                    .then(vals => {
+                        chai.expect(vals).to.deep.equal(['a', 'b', 'c']);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('stops and closes the iterator after `limit` values', done => {
+                const iterable = asyncIterableOf(['a', 'b', 'c'], 1);
+                Promise.fromAsyncIterable(iterable, { limit: 2 })
+                    .then(vals => {
+                        chai.expect(vals).to.deep.equal(['a', 'b']);
+                        chai.expect(iterable.closed).to.equal(true);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('accepts plain iterables', done => {
+                Promise.fromAsyncIterable(new Set([Promise.resolve('a'), 'b']))
+                    .then(vals => {
+                        chai.expect(vals).to.deep.equal(['a', 'b']);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('rejects if a value rejects', done => {
+                Promise.fromAsyncIterable(asyncIterableOf(['a', Promise.reject('b')], 1))
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason).to.equal('b');
+                        done();
+                    });
+            });
+        });
+
+        describe('.settleInOrder', () => {
+            it('yields settlement records in input order', done => {
+                collect(Promise.settleInOrder([
+                    Promise.delay(10, 'a'),
+                    Promise.reject('b'),
+                    'c'
+                ]))
+                    .then(records => {
+                        chai.expect(records).to.deep.equal([
+                            { status: 'fulfilled', value: 'a', index: 0 },
+                            { status: 'rejected', reason: 'b', index: 1 },
+                            { status: 'fulfilled', value: 'c', index: 2 }
+                        ]);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('yields each record before later inputs settle', done => {
+                const stream = Promise.settleInOrder([Promise.delay(1, 'a'), Promise.delay(20, 'b')]);
+                const start = Date.now();
+                stream.next()
+                    .then(({ value }) => {
+                        chai.expect(value.value).to.equal('a');
+                        chai.expect(Date.now() - start).to.be.below(15);
+                        return stream.return();
+                    })
+                    .then(() => stream.next())
+                    .then(({ done: isDone }) => {
+                        chai.expect(isDone).to.equal(true);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('reads async iterables', done => {
+                collect(Promise.settleInOrder(asyncIterableOf([Promise.delay(5, 'a'), 'b'], 1)))
+                    .then(records => {
+                        chai.expect(records.map(r => r.value)).to.deep.equal(['a', 'b']);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+        });
+
+        describe('.asCompleted', () => {
+            it('yields settlement records in completion order', done => {
+                collect(Promise.asCompleted([
+                    Promise.delay(10, 'a'),
+                    new Promise((resolve, reject) => setTimeout(() => reject('b'), 5)),
+                    Promise.delay(1, 'c')
+                ]))
+                    .then(records => {
+                        chai.expect(records).to.deep.equal([
+                            { status: 'fulfilled', value: 'c', index: 2 },
+                            { status: 'rejected', reason: 'b', index: 1 },
+                            { status: 'fulfilled', value: 'a', index: 0 }
+                        ]);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('is its own async iterator', done => {
+                const stream = Promise.asCompleted([]);
+                chai.expect(stream[Symbol.asyncIterator]()).to.equal(stream);
+                done();
+            });
+            it('closes an async source when returned early', done => {
+                const iterable = asyncIterableOf(['a', 'b', 'c'], 5);
+                const stream = Promise.asCompleted(iterable);
+                stream.next()
+                    .then(() => stream.return())
+                    .then(() => {
+                        chai.expect(iterable.closed).to.equal(true);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('rejects once the records read before a source error are yielded', done => {
+                const failing = {
+                    [Symbol.asyncIterator]() {
+                        let i = 0;
+                        return {
+                            next: () => i++ ? Promise.reject('boom') : Promise.resolve({ value: 'a', done: false })
+                        };
+                    }
+                };
+                const stream = Promise.asCompleted(failing);
+                stream.next()
+                    .then(({ value }) => {
+                        chai.expect(value.value).to.equal('a');
+                        return stream.next();
+                    })
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason).to.equal('boom');
+                        done();
+                    });
+            });
+            it('only reads an async source as values are requested', done => {
+                let pulls = 0;
+                const endless = {
+                    [Symbol.asyncIterator]() {
+                        return { next: () => Promise.resolve({ value: pulls++, done: false }) };
+                    }
+                };
+                const stream = Promise.asCompleted(endless);
+                setTimeout(() => {
+                    chai.expect(pulls).to.be.at.most(16);
+                    stream.next()
+                        .then(() => stream.next())
+                        .then(({ value }) => {
+                            chai.expect(value.index).to.equal(1);
+                            return Promise.delay(5);
+                        })
+                        .then(() => {
+                            chai.expect(pulls).to.be.at.most(18);
+                            return stream.return();
+                        })
+                        .then(() => done())
+                        .catch(done);
+                }, 5);
+            });
+        });
+    });
+
+    describe('coroutines', () => {
+        describe('.coroutine', () => {
+            it('sends resolved values back into the generator', done => {
+                const add = Promise.coroutine(function* (a) {
+                    const b = yield Promise.delay(1, 2);
+                    const c = yield new Promise(resolve => setTimeout(() => resolve(3), 1));
+                    return a + b + c;
+                });
+                add(1)
+                    .then(v => {
+                        chai.expect(v).to.equal(6);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('returns instances of this Promise class', done => {
+                const p = Promise.coroutine(function* () {
+                    return 'foo';
+                })();
+                chai.expect(p).to.be.an.instanceof(Promise);
+                p.then(() => done()).catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('throws rejections into the generator', done => {
+                Promise.coroutine(function* () {
+                    try {
+                        yield Promise.reject('foo');
+                    } catch (e) {
+                        return `caught ${e}`;
+                    }
+                })()
+                    .then(v => {
+                        chai.expect(v).to.equal('caught foo');
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('rejects with uncaught errors', done => {
+                Promise.coroutine(function* () {
+                    yield Promise.resolve();
+                    throw 'foo';
+                })()
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason).to.equal('foo');
+                        done();
+                    });
+            });
+            it('keeps `this` of the wrapper', done => {
+                const foo = {
+                    name: 'foo',
+                    getName: Promise.coroutine(function* () {
+                        yield Promise.resolve();
+                        return this.name;
+                    })
+                };
+                foo.getName()
+                    .then(v => {
+                        chai.expect(v).to.equal('foo');
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('throws a TypeError into the generator for values it cannot handle', done => {
+                Promise.coroutine(function* () {
+                    yield 'foo';
+                })()
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason).to.be.an.instanceof(TypeError);
+                        done();
+                    });
+            });
+            it('uses a yield handler for other values', done => {
+                const yieldHandler = value => Array.isArray(value) ? Promise.all(value) : undefined;
+                Promise.coroutine(function* () {
+                    return yield [Promise.resolve('a'), 'b'];
+                }, { yieldHandler })()
+                    .then(v => {
+                        chai.expect(v).to.deep.equal(['a', 'b']);
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('uses yield handlers added to every coroutine until removed', done => {
+                const remove = Promise.coroutine.addYieldHandler(value => {
+                    return typeof value === 'number' ? Promise.delay(1, value * 2) : undefined;
+                });
+                const double = Promise.coroutine(function* (n) {
+                    return yield n;
+                });
+                double(21)
+                    .then(v => {
+                        chai.expect(v).to.equal(42);
+                        remove();
+                        remove();
+                        return double(21);
+                    })
+                    .then(v => done(`unexpected resolve: ${v}`))
+                    .catch(reason => {
+                        chai.expect(reason).to.be.an.instanceof(TypeError);
+                        chai.expect(reason.message).to.contain('could not be treated as a promise');
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        describe('.co', () => {
+            it('runs a generator function right away with arguments', done => {
+                Promise.co(function* (a) {
+                    return a + (yield Promise.resolve('b'));
+                }, 'a')
+                    .then(v => {
+                        chai.expect(v).to.equal('ab');
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+            it('runs a generator object', done => {
+                function* gen() {
+                    return yield Promise.resolve('foo');
+                }
+                Promise.co(gen())
+                    .then(v => {
+                        chai.expect(v).to.equal('foo');
+                        done();
+                    })
+                    .catch(reason => done(`unexpected reject: ${reason}`));
+            });
+        });
+    });
+
+    describe('subclassing', () => {
+        class MyPromise extends Promise {}
+
+        it('returns instances of the subclass from `then`, `catch` and `finally`', done => {
+            const p = MyPromise.resolve('foo');
+            chai.expect(p).to.be.an.instanceof(MyPromise);
+            chai.expect(p.then()).to.be.an.instanceof(MyPromise);
+            chai.expect(p.catch()).to.be.an.instanceof(MyPromise);
+            chai.expect(p.delay(0)).to.be.an.instanceof(MyPromise);
+            p.finally(() => {}).then(v => {
+                chai.expect(v).to.equal('foo');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('returns instances of the subclass from `timeout`, which still times out', done => {
+            const p = MyPromise.resolve('foo').timeout(10);
+            const slow = new MyPromise(resolve => setTimeout(resolve, 20)).timeout(1, 'too slow');
+            chai.expect(p).to.be.an.instanceof(MyPromise);
+            chai.expect(slow).to.be.an.instanceof(MyPromise);
+            MyPromise.all([p, slow.catch(reason => reason)]).then(([value, reason]) => {
+                chai.expect(value).to.equal('foo');
+                chai.expect(reason).to.be.an.instanceof(Promise.TimeoutError);
+                chai.expect(reason.message).to.equal('too slow');
+                done();
+            }).catch(done);
+        });
+        it('returns instances of the subclass from statics', done => {
+            const resolvers = MyPromise.withResolvers();
+            resolvers.resolve(1);
+            const statics = [
+                MyPromise.reject('foo').catch(() => {}),
+                MyPromise.all([1]),
+                MyPromise.race([1]),
+                MyPromise.allSettled([1]),
+                MyPromise.any([1]),
+                MyPromise.some([1], 1),
+                MyPromise.map([1], v => v),
+                MyPromise.props({ a: 1 }),
+                MyPromise.reduce([1], (a, b) => a + b, 0),
+                MyPromise.delay(0),
+                resolvers.promise,
+                MyPromise.fromCallback(cb => cb(null, 1)),
+                MyPromise.promisify(cb => cb(null, 1))()
+            ];
+            statics.forEach(p => chai.expect(p).to.be.an.instanceof(MyPromise));
+            MyPromise.all(statics).then(() => done(), reason => done(`unexpected reject: ${reason}`));
+        });
+        it('does not pass through instances of the parent class from `resolve`', done => {
+            const p = Promise.resolve('foo');
+            const q = MyPromise.resolve(p);
+            chai.expect(q).not.to.equal(p);
+            chai.expect(Promise.resolve(q)).not.to.equal(q);
+            q.then(v => {
+                chai.expect(v).to.equal('foo');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('constructs derived Promises through `Symbol.species`', done => {
+            class Plain extends Promise {
+                static get [Symbol.species]() {
+                    return Promise;
+                }
+            }
+            const p = Plain.resolve('foo').then(v => v);
+            chai.expect(p).not.to.be.an.instanceof(Plain);
+            chai.expect(p).to.be.an.instanceof(Promise);
+            done();
+        });
+        it('supports a species constructor that is not this implementation', done => {
+            class Foreign extends Promise {
+                static get [Symbol.species]() {
+                    return NativePromise;
+                }
+            }
+            const p = Foreign.resolve('foo').then(v => `${v}bar`);
+            chai.expect(p).to.be.an.instanceof(NativePromise);
+            p.then(v => {
+                chai.expect(v).to.equal('foobar');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('throws a TypeError when a static is called on a non-constructor', done => {
+            const { resolve, all } = Promise;
+            chai.expect(() => resolve('foo')).to.throw(TypeError);
+            chai.expect(() => all.call({}, [])).to.throw(TypeError);
+            done();
+        });
     });
 
 });
@@ -0,0 +1,179 @@
+import $q, { createQ } from '../q';
+import Promise from '../promise';
+import * as chai from 'chai';
+
+describe('$q', () => {
+
+    it('constructs Promises from a resolver', done => {
+        const p = $q((resolve, reject) => setTimeout(() => resolve('foo'), 5));
+        chai.expect(p).to.be.an.instanceof(Promise);
+        p.then(v => {
+            chai.expect(v).to.equal('foo');
+            done();
+        }).catch(reason => done(`unexpected reject: ${reason}`));
+    });
+    it('throws if the resolver is not a function', done => {
+        chai.expect(() => $q()).to.throw(TypeError);
+        done();
+    });
+
+    describe('defer', () => {
+        it('settles `promise` through `resolve` and `reject`', done => {
+            const resolved = $q.defer();
+            const rejected = $q.defer();
+            resolved.resolve('foo');
+            rejected.reject('bar');
+            $q.all([resolved.promise, rejected.promise.catch(reason => reason)]).then(values => {
+                chai.expect(values).to.deep.equal(['foo', 'bar']);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('passes `notify` on to the third `then` callback', done => {
+            const deferred = $q.defer();
+            const progress = [];
+            deferred.promise.then(v => {
+                chai.expect(progress).to.deep.equal([1, 2]);
+                chai.expect(v).to.equal('done');
+                done();
+            }, reason => done(`unexpected reject: ${reason}`), p => progress.push(p));
+            deferred.notify(1);
+            setTimeout(() => {
+                deferred.notify(2);
+                setTimeout(() => deferred.resolve('done'), 5);
+            }, 5);
+        });
+        it('passes `notify` on to the second `finally` callback', done => {
+            const deferred = $q.defer();
+            let notified;
+            deferred.promise.finally(() => {
+                chai.expect(notified).to.equal('half');
+                done();
+            }, p => {
+                notified = p;
+            });
+            deferred.notify('half');
+            setTimeout(() => deferred.resolve(), 5);
+        });
+    });
+
+    describe('when', () => {
+        it('wraps values and thenables', done => {
+            const thenable = { then: resolve => resolve('bar') };
+            $q.all([$q.when('foo'), $q.when(thenable), $q.resolve(Promise.resolve('baz'))]).then(values => {
+                chai.expect(values).to.deep.equal(['foo', 'bar', 'baz']);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('chains the callbacks it is given', done => {
+            $q.when(Promise.reject('foo'), null, reason => `${reason}bar`).then(v => {
+                chai.expect(v).to.equal('foobar');
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('reject', () => {
+        it('returns a rejected Promise', done => {
+            $q.reject('foo').then(v => done(`unexpected resolve: ${v}`), reason => {
+                chai.expect(reason).to.equal('foo');
+                done();
+            });
+        });
+    });
+
+    describe('all', () => {
+        it('resolves an object of Promises to an object of values', done => {
+            $q.all({ a: $q.when(1), b: 2, c: Promise.delay(5, 3) }).then(values => {
+                chai.expect(values).to.deep.equal({ a: 1, b: 2, c: 3 });
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+        it('rejects with the first rejection', done => {
+            $q.all({ a: Promise.delay(5, 1), b: $q.reject('foo') }).then(v => done(`unexpected resolve: ${v}`), reason => {
+                chai.expect(reason).to.equal('foo');
+                done();
+            });
+        });
+    });
+
+    describe('race', () => {
+        it('settles like the first of an array or an object of Promises', done => {
+            $q.all([
+                $q.race([Promise.delay(10, 'slow'), Promise.delay(1, 'fast')]),
+                $q.race({ a: Promise.delay(10, 'slow'), b: Promise.delay(1, 'fast') })
+            ]).then(values => {
+                chai.expect(values).to.deep.equal(['fast', 'fast']);
+                done();
+            }).catch(reason => done(`unexpected reject: ${reason}`));
+        });
+    });
+
+    describe('afterSettle', () => {
+        it('runs once after each batch of callbacks', done => {
+            const calls = [];
+            const $digestQ = createQ({ afterSettle: () => calls.push('digest') });
+            const deferred = $digestQ.defer();
+            deferred.promise.then(() => calls.push('a'));
+            deferred.promise.then(() => calls.push('b'));
+            deferred.resolve();
+            setTimeout(() => {
+                chai.expect(calls).to.deep.equal(['a', 'b', 'digest']);
+                done();
+            }, 5);
+        });
+        it('runs once after a chain of callbacks', done => {
+            const calls = [];
+            const $digestQ = createQ({ afterSettle: () => calls.push('digest') });
+            $digestQ.when()
+                .then(() => calls.push('a'))
+                .then(() => calls.push('b'))
+                .then(() => calls.push('c'));
+            setTimeout(() => {
+                chai.expect(calls).to.deep.equal(['a', 'b', 'c', 'digest']);
+                done();
+            }, 5);
+        });
+        it('surfaces errors thrown by `afterSettle` as uncaught exceptions', done => {
+            const listeners = process.listeners('uncaughtException');
+            const rejections = [];
+            const remove = Promise.onUnhandledRejection(reason => rejections.push(reason));
+            process.removeAllListeners('uncaughtException');
+            process.once('uncaughtException', error => {
+                listeners.forEach(listener => process.on('uncaughtException', listener));
+                setTimeout(() => {
+                    remove();
+                    chai.expect(error.message).to.equal('digest failed');
+                    chai.expect(rejections).to.deep.equal([]);
+                    done();
+                }, 5);
+            });
+            const $digestQ = createQ({
+                afterSettle: () => {
+                    throw new Error('digest failed');
+                }
+            });
+            $digestQ.when().then(() => 'foo');
+        });
+        it('runs after `notify` callbacks', done => {
+            const calls = [];
+            const $digestQ = createQ({ afterSettle: () => calls.push('digest') });
+            const deferred = $digestQ.defer();
+            deferred.promise.then(null, null, p => calls.push(p));
+            deferred.notify('half');
+            setTimeout(() => {
+                chai.expect(calls).to.deep.equal(['half', 'digest']);
+                done();
+            }, 5);
+        });
+        it('is not called when no callbacks run', done => {
+            let digests = 0;
+            const $digestQ = createQ({ afterSettle: () => digests++ });
+            $digestQ.defer().resolve('foo');
+            setTimeout(() => {
+                chai.expect(digests).to.equal(0);
+                done();
+            }, 5);
+        });
+    });
+
+});